@@ -13,7 +13,7 @@ NAME = __name__.split('.')[-1] # package name (e.g. 'foo' or 'foo_bar')
 
 VERSION = '1.8.2' # version of the packaged files, please use the upstream
                   # version number
-BUILD = '3' # our package build number, so we can release new builds
+BUILD = '4' # our package build number, so we can release new builds
              # with fixes for xstatic stuff.
 PACKAGE_VERSION = VERSION + '.' + BUILD # version used for PyPi
 
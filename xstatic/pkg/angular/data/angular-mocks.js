@@ -1516,7 +1516,7 @@ function createHttpBackendMock($rootScope, $timeout, $delegate, $browser) {
   }
 
   // TODO(vojta): change params to: method, url, data, headers, callback
-  function $httpBackend(method, url, data, callback, headers, timeout, withCredentials, responseType, eventHandlers, uploadEventHandlers) {
+  function $httpBackend(method, url, data, callback, headers, timeout, withCredentials, responseType, eventHandlers, uploadEventHandlers, streamHandler, fetchOptions) {
 
     var xhr = new MockXhr(),
         expectation = expectations[0],
@@ -1549,8 +1549,15 @@ function createHttpBackendMock($rootScope, $timeout, $delegate, $browser) {
 
       function handleResponse() {
         var response = wrapped.response(method, url, data, headers, wrapped.params(url));
+        var body = copy(response[1]);
         xhr.$$respHeaders = response[2];
-        callback(copy(response[0]), copy(response[1]), xhr.getAllResponseHeaders(),
+        // Streamed responses deliver the whole body as a single chunk
+        if (streamHandler && response[0] >= 200 && response[0] < 300) {
+          streamHandler(angular.isObject(body) && !ArrayBuffer.isView(body) ?
+              angular.toJson(body) : body);
+          body = null;
+        }
+        callback(copy(response[0]), body, xhr.getAllResponseHeaders(),
                  copy(response[3] || ''), copy(response[4]));
       }
 
@@ -1603,7 +1610,7 @@ function createHttpBackendMock($rootScope, $timeout, $delegate, $browser) {
           // if $browser specified, we do auto flush all requests
           ($browser ? $browser.defer : responsesPush)(wrapResponse(definition));
         } else if (definition.passThrough) {
-          originalHttpBackend(method, url, data, callback, headers, timeout, withCredentials, responseType, eventHandlers, uploadEventHandlers);
+          originalHttpBackend(method, url, data, callback, headers, timeout, withCredentials, responseType, eventHandlers, uploadEventHandlers, streamHandler, fetchOptions);
         } else throw createFatalError('No response defined !');
         return;
       }
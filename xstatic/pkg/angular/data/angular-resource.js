@@ -29,6 +29,242 @@ function lookupDottedPath(obj, path) {
   return obj;
 }
 
+/**
+ * Parse an RFC 5988 `Link` header into a map of relation types to URLs
+ */
+function parseLinkHeader(header) {
+  var links = {};
+
+  angular.forEach((header || '').split(/,(?=\s*<)/), function(link) {
+    var match = /^\s*<([^>]*)>(.*)$/.exec(link);
+    var rel = match && /;\s*rel\s*=\s*"?([^";]+)"?/i.exec(match[2]);
+    if (rel) {
+      angular.forEach(rel[1].split(/\s+/), function(relType) {
+        links[relType.toLowerCase()] = match[1];
+      });
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Validate a value against a (subset of) JSON Schema and collect the failures
+ */
+function validateSchema(value, schema, path, errors) {
+  var type = schemaType(value);
+
+  if (schema.type) {
+    var types = angular.isArray(schema.type) ? schema.type : [schema.type];
+    var typeMatches = types.some(function(expected) {
+      return expected === type || (expected === 'number' && type === 'integer');
+    });
+    if (!typeMatches) {
+      errors.push({path: path, message: 'should be ' + types.join(' or ') + ' but is ' + type});
+      return errors;
+    }
+  }
+
+  if (schema['enum'] && !schema['enum'].some(function(allowed) {
+    return angular.equals(allowed, value);
+  })) {
+    errors.push({path: path, message: 'should be one of ' + angular.toJson(schema['enum'])});
+  }
+
+  switch (type) {
+    case 'string':
+      if (value.length < schema.minLength) {
+        errors.push({path: path, message: 'should have at least ' + schema.minLength +
+            ' characters'});
+      }
+      if (value.length > schema.maxLength) {
+        errors.push({path: path, message: 'should have at most ' + schema.maxLength +
+            ' characters'});
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({path: path, message: 'should match ' + schema.pattern});
+      }
+      break;
+    case 'number':
+    case 'integer':
+      if (value < schema.minimum) {
+        errors.push({path: path, message: 'should be at least ' + schema.minimum});
+      }
+      if (value > schema.maximum) {
+        errors.push({path: path, message: 'should be at most ' + schema.maximum});
+      }
+      break;
+    case 'array':
+      if (value.length < schema.minItems) {
+        errors.push({path: path, message: 'should have at least ' + schema.minItems + ' items'});
+      }
+      if (value.length > schema.maxItems) {
+        errors.push({path: path, message: 'should have at most ' + schema.maxItems + ' items'});
+      }
+      if (schema.items) {
+        angular.forEach(value, function(item, i) {
+          validateSchema(item, schema.items, path + '[' + i + ']', errors);
+        });
+      }
+      break;
+    case 'object':
+      angular.forEach(schema.required, function(key) {
+        if (!angular.isDefined(value[key])) {
+          errors.push({path: path + '.' + key, message: 'is required'});
+        }
+      });
+      angular.forEach(value, function(propertyValue, key) {
+        var propertySchema = schema.properties && schema.properties[key];
+        if (propertySchema) {
+          if (angular.isDefined(propertyValue)) {
+            validateSchema(propertyValue, propertySchema, path + '.' + key, errors);
+          }
+        } else if (schema.additionalProperties === false) {
+          errors.push({path: path + '.' + key, message: 'is not allowed'});
+        }
+      });
+      break;
+  }
+
+  return errors;
+}
+
+function schemaType(value) {
+  if (value === null) return 'null';
+  if (angular.isArray(value)) return 'array';
+  if (angular.isNumber(value)) return value % 1 === 0 ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Envelope adapter for [JSON:API](https://jsonapi.org/) documents
+ *
+ * Resource objects are flattened to their `type`, `id` and `attributes`; relationships are
+ * replaced by the matching resource objects from `included` (or their resource identifiers, if
+ * they are not included).
+ */
+var jsonApiEnvelope = {
+  unwrap: function(document, link) {
+    var included = {};
+    var building = {};
+
+    angular.forEach(document.included, function(resource) {
+      included[resource.type + ':' + resource.id] = resource;
+    });
+
+    function flatten(resource) {
+      var key = resource.type + ':' + resource.id;
+      var object = angular.extend({type: resource.type, id: resource.id}, resource.attributes);
+
+      building[key] = true;
+      angular.forEach(resource.relationships, function(relationship, name) {
+        var linkage = relationship.data;
+        object[name] = angular.isArray(linkage) ?
+            linkage.map(function(identifier) { return resolve(identifier, name); }) :
+            linkage && resolve(linkage, name);
+      });
+      delete building[key];
+
+      return object;
+    }
+
+    function resolve(identifier, name) {
+      var key = identifier.type + ':' + identifier.id;
+      // Guard against cycles between included resources
+      var resource = !building[key] && included[key];
+      return link(name, resource ? flatten(resource) : {type: identifier.type, id: identifier.id});
+    }
+
+    var data = document.data;
+    return angular.isArray(data) ? data.map(flatten) : data && flatten(data);
+  },
+
+  wrap: function(data) {
+    var resource = {type: data.type, attributes: {}};
+    if (angular.isDefined(data.id)) resource.id = data.id;
+
+    angular.forEach(data, function(value, key) {
+      if (key === 'type' || key === 'id') return;
+      if (isJsonApiResource(value) ||
+          (angular.isArray(value) && value.length && value.every(isJsonApiResource))) {
+        resource.relationships = resource.relationships || {};
+        resource.relationships[key] = {
+          data: angular.isArray(value) ? value.map(toIdentifier) : toIdentifier(value)
+        };
+      } else {
+        resource.attributes[key] = value;
+      }
+    });
+
+    return {data: resource};
+
+    function isJsonApiResource(value) {
+      return angular.isObject(value) && angular.isDefined(value.type) &&
+          angular.isDefined(value.id);
+    }
+
+    function toIdentifier(value) {
+      return {type: value.type, id: value.id};
+    }
+  }
+};
+
+/**
+ * Envelope adapter for [HAL](https://tools.ietf.org/html/draft-kelly-json-hal) documents
+ *
+ * Resources embedded under `_embedded` are moved onto the object under their relation name.
+ * `_links` are kept as they are.
+ */
+var halEnvelope = {
+  unwrap: function(document, link, isArray) {
+    if (isArray && !angular.isArray(document)) {
+      // Collections are the (first) embedded array of the document
+      var items;
+      angular.forEach(document._embedded, function(value, name) {
+        if (!items && angular.isArray(value)) items = value;
+      });
+      return (items || []).map(flatten);
+    }
+
+    return angular.isArray(document) ? document.map(flatten) : flatten(document);
+
+    function flatten(resource) {
+      var object = {};
+
+      angular.forEach(resource, function(value, key) {
+        if (key !== '_embedded') object[key] = value;
+      });
+      angular.forEach(resource._embedded, function(value, name) {
+        object[name] = angular.isArray(value) ?
+            value.map(function(item) { return link(name, flatten(item)); }) :
+            value && link(name, flatten(value));
+      });
+
+      return object;
+    }
+  },
+
+  wrap: function(data) {
+    var resource = {};
+
+    angular.forEach(data, function(value, key) {
+      if (isHalResource(value) ||
+          (angular.isArray(value) && value.length && value.every(isHalResource))) {
+        resource._embedded = resource._embedded || {};
+        resource._embedded[key] = value;
+      } else {
+        resource[key] = value;
+      }
+    });
+
+    return resource;
+
+    function isHalResource(value) {
+      return angular.isObject(value) && angular.isObject(value._links);
+    }
+  }
+};
+
 /**
  * Create a shallow copy of an object and clear other fields from the destination
  */
@@ -185,6 +421,13 @@ function shallowClearAndCopy(src, dst) {
  *     cancelled (if not already completed) by calling `$cancelRequest()` on the call's return
  *     value. Calling `$cancelRequest()` for a non-cancellable or an already completed/cancelled
  *     request will have no effect.
+ *   - **`retry`** – `{(boolean|number|Object)=}` – Retries failed requests of idempotent actions
+ *     (i.e. actions using `GET`, `HEAD`, `OPTIONS`, `PUT` or `DELETE`) and of `POST` actions, which
+ *     are sent with an `Idempotency-Key` header. The options are described in
+ *     {@link ng.$http#retrying-requests $http Retrying Requests} (`attempts`, `delay`, `backoff`,
+ *     `jitter`, `retryOn` and `retryAfter`). If the request still fails after the last attempt,
+ *     the promise is rejected with the last response, whose `config.attempts` property holds the
+ *     number of requests that were made.
  *   - **`withCredentials`** – `{boolean}` – Whether to set the `withCredentials` flag on the
  *     XHR object. See
  *     [XMLHttpRequest.withCredentials](https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest/withCredentials)
@@ -207,6 +450,70 @@ function shallowClearAndCopy(src, dst) {
  *     interceptors in `$resource`.
  *   - **`hasBody`** – `{boolean}` – If true, then the request will have a body.
  *     If not specified, then only POST, PUT and PATCH requests will have a body. *
+ *   - **`dedupe`** – `{boolean}` – If true, a `GET` request is not sent while an identical request
+ *     (same URL, parameters and headers) made through a `dedupe` action is still pending. Instead,
+ *     both calls share the response of the pending request. Unlike `cache`, nothing is kept after
+ *     the response has arrived. Cancelling one of the calls (or letting it time out) only rejects
+ *     that call; the shared request is aborted once all of its calls have been cancelled. This can
+ *     be overwritten per resource class.
+ *   - **`swr`** – `{(boolean|Object)=}` – Enables the stale-while-revalidate mode for `GET`
+ *     actions. Responses are stored in a cache and a later call for the same URL is resolved
+ *     right away with the stored response. If the stored response is older than its maximum age,
+ *     the request is also sent in the background and the instance or collection is updated in
+ *     place with the new response, after which a `$revalidated` event is broadcast on the
+ *     `$rootScope` with the instance or collection as its argument. Failed revalidations leave the
+ *     cached data in place. If an object, it can have these properties:
+ *
+ *       - **`maxAge`** – `{number}` – The time in milliseconds for which a stored response is
+ *         served without revalidating it. (Defaults to 0, i.e. always revalidate.)
+ *       - **`cache`** – `{Cache=}` – The {@link ng.$cacheFactory cache} the responses are stored
+ *         in. (Defaults to a cache shared by all resources.)
+ *
+ *     This can be overwritten per resource class.
+ *   - **`envelope`** – `{(string|Object)=}` – The envelope adapter (or the name of an adapter
+ *     registered in `$resourceProvider.defaults.envelopes`) that unwraps response documents and
+ *     wraps request bodies. See {@link ngResource.$resourceProvider#defaults} for the built-in
+ *     adapters. This can be overwritten per resource class.
+ *   - **`schema`** – `{Object=}` – Schemas to validate the data of this action against, with a
+ *     `request` and/or a `response` property. Each schema is a subset of
+ *     [JSON Schema](https://json-schema.org/), supporting `type`, `enum`, `properties`, `required`,
+ *     `additionalProperties: false`, `items`, `minItems`/`maxItems`, `minLength`/`maxLength`,
+ *     `pattern` and `minimum`/`maximum`.
+ *     If the request body (e.g. the instance being saved) does not match the `request` schema, no
+ *     request is sent. If the response data (after unwrapping it from its `envelope`, if any) does
+ *     not match the `response` schema, the instance or collection is not updated. In both cases
+ *     the promise is rejected with a `$resource:schema` error, whose `errors` property lists the
+ *     failures as `{path, message}` objects (`path` being relative to the data, e.g.
+ *     `$.servers[0].name`).
+ *   - **`paginate`** – `{(boolean|Object)=}` – Enables paging for actions with `isArray: true`.
+ *     If `true`, the next and previous pages are taken from the `next`/`prev` relations of the
+ *     [RFC 5988](https://tools.ietf.org/html/rfc5988) `Link` response header. If an object, the
+ *     pages are identified by cursor tokens in the response body instead:
+ *
+ *       - **`items`** – `{string=}` – Dotted path of the array of items in the response body. If
+ *         omitted, the response body itself must be the array.
+ *       - **`cursor`** – `{string}` – Dotted path of the cursor of the next page.
+ *       - **`prevCursor`** – `{string=}` – Dotted path of the cursor of the previous page.
+ *       - **`param`** – `{string=}` – Name of the parameter the cursor is sent in. (Defaults to
+ *         `cursor`.)
+ *
+ *     See below for the properties and methods paginated collections have.
+ *   - **`offline`** – `{boolean}` – If true, a non-GET action whose request fails because the
+ *     server could not be reached (status `-1`, other than an explicit cancellation) is stored in
+ *     the offline queue and replayed later (see `$resource.offlineQueue` below). The call is
+ *     resolved optimistically with the local instance, which has `$pending` set to `true` until
+ *     the replay completes. This can be overwritten per resource class.
+ *   - **`etag`** – `{boolean}` – If true, the `ETag` and `Last-Modified` response headers are
+ *     stored on the instance (as `$etag` and `$lastModified`) and used for conditional requests:
+ *     instance calls of actions that modify data send them as `If-Match` (or
+ *     `If-Unmodified-Since`), while `GET` actions send `If-None-Match` (or `If-Modified-Since`) and
+ *     treat a `304 Not Modified` response as a success, populating the instance or collection with
+ *     the data of the previous response for the same URL. This can be overwritten per resource
+ *     class.
+ *   - **`onConflict`** – `{function(response, instance)=}` – Called when the replay of a queued
+ *     request is answered with `409 Conflict` or `412 Precondition Failed`. `instance` is the
+ *     resource instance the request was made for (if it is still around). If the function returns
+ *     a promise, replaying the rest of the queue waits for it.
  * @param {Object} options Hash with custom settings that should extend the
  *   default `$resourceProvider` behavior.  The supported options are:
  *
@@ -215,6 +522,45 @@ function shallowClearAndCopy(src, dst) {
  *   - **`cancellable`** – {boolean} – If true, the request made by a "non-instance" call will be
  *   cancelled (if not already completed) by calling `$cancelRequest()` on the call's return value.
  *   This can be overwritten per action. (Defaults to false.)
+ *   - **`offline`** – {boolean} – If true, failed non-GET requests are queued and replayed once
+ *   connectivity returns. This can be overwritten per action. (Defaults to false.)
+ *   - **`dedupe`** – {boolean} – If true, identical pending `GET` requests are shared. This can be
+ *   overwritten per action. (Defaults to false.)
+ *   - **`swr`** – {boolean|Object} – Enables the stale-while-revalidate mode for all `GET`
+ *   actions. This can be overwritten per action. (Defaults to false.)
+ *   - **`envelope`** – {string|Object} – The envelope adapter used by all actions of this resource
+ *   class. This can be overwritten per action.
+ *   - **`relations`** – {Object.<Function>} – A map of relation names to resource classes. Related
+ *   resources unwrapped by an `envelope` adapter are turned into instances of the resource class
+ *   registered for their relation name (or of this resource class if there is none).
+ *   - **`batch`** – {Object} – If set, calls of `GET` actions that do not return an array and are
+ *   made within the same digest are coalesced into a single request for all the requested items.
+ *   Calls are only coalesced if all their parameters, except for the item identifier, are equal.
+ *   The object can have these properties:
+ *
+ *     - **`param`** – {string} – The parameter identifying an item. (Defaults to `id`.)
+ *     - **`url`** – {string} – The URL template of the batch request. (Defaults to the URL of the
+ *       action, without the `param` parameter.)
+ *     - **`method`** – {string} – `GET` to send the identifiers as a comma-separated query
+ *       parameter, or `POST` to send them as an array in the request body. (Defaults to `GET`.)
+ *     - **`listParam`** – {string} – The name of the query parameter (or body property) holding
+ *       the identifiers. (Defaults to `ids`.)
+ *     - **`key`** – {string} – The property of the returned items that holds their identifier.
+ *       (Defaults to the value of `param`.)
+ *
+ *   The server is expected to respond with an array of items, or an object mapping identifiers to
+ *   items. Each call is resolved with its item; calls for which no item was returned are rejected
+ *   with a `404` response. If the batch request fails, every call is rejected with its response.
+ *   ```js
+ *   var Server = $resource('/servers/:id', {}, {}, {batch: {param: 'id'}});
+ *   Server.get({id: 1});
+ *   Server.get({id: 2});
+ *   // GET /servers?ids=1,2
+ *   ```
+ *   - **`etag`** – {boolean} – If true, `ETag`/`Last-Modified` headers are captured and sent back
+ *   in conditional requests. This can be overwritten per action. (Defaults to false.)
+ *   - **`onConflict`** – {function(response, instance)} – The default conflict hook for replayed
+ *   requests of this resource class. This can be overwritten per action.
  *
  * @returns {Object} A resource "class" object with methods for the default set of resource actions
  *   optionally extended with custom `actions`. The default set contains these actions:
@@ -290,6 +636,21 @@ function shallowClearAndCopy(src, dst) {
  *      data-binding. If there is a response/responseError interceptor and it returns a promise,
  *      `$resolved` will wait for that too.
  *
+ *   Collections returned by `paginate` actions additionally have:
+ *
+ *   - `$hasNext`/`$hasPrev`: `true` if the server reported a next/previous page.
+ *   - `$next()`/`$prev()`: Request the next/previous page with the same action and return it as a
+ *      new collection. Throws if there is no such page.
+ *   - `$all()`: Requests every page, starting with this one, and returns a promise that is
+ *      notified with each collection as it arrives and resolved with an array of all the items.
+ *
+ *   - `$pending`: `true` while a write made through an `offline` action is waiting in the offline
+ *      queue to be replayed.
+ *
+ *   - `$etag`/`$lastModified`: The `ETag` and `Last-Modified` headers of the last response that
+ *      populated the instance, if the action has the `etag` option enabled. These are not included
+ *      when the instance is serialized.
+ *
  *   The Resource instances and collections have these additional methods:
  *
  *   - `$cancelRequest`: If there is a cancellable, pending request related to the instance or
@@ -303,6 +664,27 @@ function shallowClearAndCopy(src, dst) {
  *     `angular.toJson`) automatically use this method when serializing a Resource instance
  *     (see [MDN](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/stringify#toJSON%28%29_behavior)).
  *
+ *   The Resource classes have this additional method:
+ *
+ *   - `sub(name, url, [paramDefaults], [actions], [options])`: Declares a child resource, whose
+ *      URL is `url` appended to the URL of this resource, and returns its resource class. The
+ *      other arguments are the same as for `$resource`. Each instance of this resource gets a
+ *      `$<name>` property, holding a resource class for the children of that instance: the URL
+ *      parameters of this resource that are mapped in its `paramDefaults` are bound to the
+ *      instance, so they do not have to be passed again (see the example below). Instances of
+ *      that class are also instances of the class returned by `sub()`.
+ *
+ * The `$resource` service itself exposes the shared offline queue as `$resource.offlineQueue`:
+ *
+ *   - `replay()`: Sends the queued requests to the server, one at a time and in the order they
+ *      were queued. Returns a promise that is resolved once the queue is empty, or rejected with
+ *      the response if the server is still unreachable (the remaining requests stay queued).
+ *      Replaying starts automatically when the browser fires an `online` event.
+ *   - `size()`: Returns the number of queued requests.
+ *
+ * The queue is kept in memory unless an `offlineStorage` object is configured on
+ * `$resourceProvider.defaults`.
+ *
  * @example
  *
  * ### Basic usage
@@ -459,6 +841,34 @@ function shallowClearAndCopy(src, dst) {
  *
  * @example
  *
+ * ### Sub-resources
+ *
+ * Child resources are declared on their parent resource class. The parent's URL parameters are
+ * bound from the parent instance, both for class actions and for the instance actions of the
+ * children:
+ *
+   ```js
+     var Project = $resource('/projects/:projectId', {projectId: '@id'});
+     var Server = Project.sub('servers', '/servers/:serverId', {serverId: '@id'});
+
+     Project.get({projectId: 42}).$promise.then(function(project) {
+       var servers = project.$servers.query();
+           // GET: /projects/42/servers
+
+       servers.$promise.then(function() {
+         servers[0].name = 'web-1';
+         servers[0].$save();
+             // POST: /projects/42/servers/7 {id: 7, name: 'web-1'}
+       });
+     });
+
+     // The class returned by `sub()` can be used without a parent instance
+     Server.get({projectId: 42, serverId: 7});
+         // GET: /projects/42/servers/7
+   ```
+ *
+ * @example
+ *
  * ### Using interceptors
  *
  * You can use interceptors to transform the request or response, perform additional operations, and
@@ -520,6 +930,53 @@ angular.module('ngResource', ['ng']).
      *   value. For more details, see {@link ngResource.$resource}. This can be overwritten per
      *   resource class or action.<br />
      *   (Defaults to false.)
+     * - **offline** – `{boolean}` – If true, non-GET requests that fail because the server could
+     *   not be reached are queued and replayed once connectivity returns. For more details, see
+     *   {@link ngResource.$resource}. This can be overwritten per resource class or action.<br />
+     *   (Defaults to false.)
+     * - **etag** – `{boolean}` – If true, `ETag`/`Last-Modified` response headers are captured on
+     *   instances and sent back in conditional requests. For more details, see
+     *   {@link ngResource.$resource}. This can be overwritten per resource class or action.<br />
+     *   (Defaults to false.)
+     * - **dedupe** – `{boolean}` – If true, identical `GET` requests share a single pending
+     *   request. For more details, see {@link ngResource.$resource}. This can be overwritten per
+     *   resource class or action.<br />
+     *   (Defaults to false.)
+     * - **swr** – `{(boolean|Object)}` – Enables the stale-while-revalidate mode for `GET`
+     *   actions. For more details, see {@link ngResource.$resource}. This can be overwritten per
+     *   resource class or action.<br />
+     *   (Defaults to false.)
+     * - **envelope** – `{(string|Object)=}` – The envelope adapter used by all resource classes.
+     *   For more details, see {@link ngResource.$resource}. This can be overwritten per resource
+     *   class or action.<br />
+     *   (Defaults to undefined, i.e. response and request bodies are used as they are.)
+     * - **envelopes** – `{Object.<Object>}` – A hash of envelope adapters, which can be selected by
+     *   name with the `envelope` option. An adapter is an object with two methods:
+     *
+     *   - `unwrap(document, link, isArray)`: Returns the object (or array of objects, if `isArray`
+     *     is true) contained in the response `document`. Related resources should be passed through
+     *     `link(relationName, object)`, which returns them as resource instances.
+     *   - `wrap(data)`: Returns the request body for the serialized instance `data`.
+     *
+     *   The built-in adapters are `jsonapi`, for [JSON:API](https://jsonapi.org/) documents, and
+     *   `hal`, for [HAL](https://tools.ietf.org/html/draft-kelly-json-hal) documents. When using
+     *   `jsonapi`, new instances need a `type` property to be saved.
+     * - **offlineStorage** – `{Object=}` – Persists the offline queue. It must provide a `load()`
+     *   method, returning the array of stored entries, and a `save(entries)` method, called with
+     *   the complete array whenever the queue changes. Entries are plain, JSON-serializable
+     *   objects. For example, to keep the queue across page reloads:
+     *   ```js
+     *   $resourceProvider.defaults.offlineStorage = {
+     *     load: function() {
+     *       return angular.fromJson(localStorage.getItem('offlineQueue')) || [];
+     *     },
+     *     save: function(entries) {
+     *       localStorage.setItem('offlineQueue', angular.toJson(entries));
+     *     }
+     *   };
+     *   ```
+     *   If the browser is online when the `$resource` service is instantiated, the restored entries
+     *   are replayed right away. (Defaults to null, i.e. the queue is only kept in memory.)
      * - **actions** - `{Object.<Object>}` - A hash with default actions declarations. Actions are
      *   high-level methods corresponding to RESTful actions/methods on resources. An action may
      *   specify what HTTP method to use, what URL to hit, if the return value will be a single
@@ -575,6 +1032,27 @@ angular.module('ngResource', ['ng']).
       // Make non-instance requests cancellable (via `$cancelRequest()`)
       cancellable: false,
 
+      // Queue failed non-GET requests while offline
+      offline: false,
+
+      // Storage for the offline queue (in memory if not set)
+      offlineStorage: null,
+
+      // Send conditional requests based on `ETag`/`Last-Modified` headers
+      etag: false,
+
+      // Share pending identical `GET` requests
+      dedupe: false,
+
+      // Serve cached `GET` responses while revalidating them
+      swr: false,
+
+      // Envelope adapters for response/request documents
+      envelopes: {
+        'jsonapi': jsonApiEnvelope,
+        'hal': halEnvelope
+      },
+
       // Default actions configuration
       actions: {
         'get': {method: 'GET'},
@@ -585,7 +1063,8 @@ angular.module('ngResource', ['ng']).
       }
     };
 
-    this.$get = ['$http', '$log', '$q', '$timeout', function($http, $log, $q, $timeout) {
+    this.$get = ['$cacheFactory', '$http', '$log', '$q', '$rootScope', '$timeout', '$window',
+        function($cacheFactory, $http, $log, $q, $rootScope, $timeout, $window) {
 
       var noop = angular.noop,
           forEach = angular.forEach,
@@ -595,6 +1074,10 @@ angular.module('ngResource', ['ng']).
           isDefined = angular.isDefined,
           isFunction = angular.isFunction,
           isNumber = angular.isNumber,
+          isObject = angular.isObject,
+          isString = angular.isString,
+          toJson = angular.toJson,
+          fromJson = angular.fromJson,
           encodeUriQuery = angular.$$encodeUriQuery,
           encodeUriSegment = angular.$$encodeUriSegment;
 
@@ -678,8 +1161,202 @@ angular.module('ngResource', ['ng']).
       };
 
 
+      var offlineStorage = provider.defaults.offlineStorage,
+          offlineEntries = (offlineStorage && offlineStorage.load()) || [],
+          offlineTargets = {},
+          offlineReplay = null,
+          offlineEntryId = 0,
+          pendingReads = {},
+          defaultSwrCache = $cacheFactory('$resourceSwr');
+
+      forEach(offlineEntries, function(entry) {
+        offlineEntryId = Math.max(offlineEntryId, entry.id);
+      });
+
+      if ($window.addEventListener) {
+        $window.addEventListener('online', function() {
+          $rootScope.$apply(function() {
+            replayOfflineQueue().catch(noop);
+          });
+        });
+      }
+
+      if (offlineEntries.length && $window.navigator && $window.navigator.onLine) {
+        // The restored requests were queued in an earlier session and there may never be another
+        // `online` event, so try to send them right away
+        $rootScope.$evalAsync(function() {
+          replayOfflineQueue().catch(noop);
+        });
+      }
+
+      function isNetworkFailure(response) {
+        return isObject(response) && response.status === -1 && response.xhrStatus !== 'abort';
+      }
+
+      function saveOfflineEntries() {
+        if (offlineStorage) offlineStorage.save(offlineEntries.slice());
+      }
+
+      function enqueueOfflineRequest(config, instance, onConflict) {
+        var headers = {};
+        forEach(config.headers, function(value, key) {
+          if (isString(value)) headers[key] = value;
+        });
+
+        var entry = {
+          id: ++offlineEntryId,
+          config: {
+            method: config.method,
+            url: config.url,
+            params: config.params,
+            data: isDefined(config.data) ? fromJson(toJson(config.data)) : undefined,
+            headers: headers,
+            withCredentials: config.withCredentials
+          }
+        };
+
+        offlineTargets[entry.id] = {
+          // Keep the transforms of the original request, but replay the data as it was sent
+          config: extend({}, config, {data: entry.config.data, timeout: undefined}),
+          instance: instance,
+          onConflict: onConflict
+        };
+        offlineEntries.push(entry);
+        saveOfflineEntries();
+      }
+
+      function dequeueOfflineRequest(entry) {
+        offlineEntries.splice(offlineEntries.indexOf(entry), 1);
+        delete offlineTargets[entry.id];
+        saveOfflineEntries();
+      }
+
+      function replayOfflineQueue() {
+        if (!offlineReplay) {
+          offlineReplay = replayNext()['finally'](function() {
+            offlineReplay = null;
+          });
+        }
+        return offlineReplay;
+
+        function replayNext() {
+          var entry = offlineEntries[0];
+          if (!entry) return $q.resolve();
+
+          var target = offlineTargets[entry.id] || {};
+          var instance = target.instance;
+
+          return $http(target.config || entry.config).then(function(response) {
+            dequeueOfflineRequest(entry);
+            if (instance) {
+              if (isObject(response.data) && !isArray(response.data)) {
+                var promise = instance.$promise;
+                shallowClearAndCopy(response.data, instance);
+                instance.$promise = promise;
+                instance.$resolved = true;
+              }
+              instance.$pending = false;
+            }
+            return replayNext();
+          }, function(response) {
+            // Still offline: keep this and the following requests queued
+            if (isNetworkFailure(response)) return $q.reject(response);
+
+            dequeueOfflineRequest(entry);
+            if (instance) instance.$pending = false;
+
+            var onConflict = target.onConflict || provider.defaults.onConflict;
+            if ((response.status === 409 || response.status === 412) && onConflict) {
+              return $q.resolve(onConflict(response, instance)).then(replayNext);
+            }
+
+            $log.warn('ngResource:\n' +
+                      '  Dropping queued offline request after it failed with status ' +
+                      response.status + ' (Request: ' + entry.config.method + ' ' +
+                      entry.config.url + ')');
+            return replayNext();
+          });
+        }
+      }
+
+      function readValidators(headers) {
+        return {
+          $etag: headers('ETag') || undefined,
+          $lastModified: headers('Last-Modified') || undefined
+        };
+      }
+
+      function setConditionalHeaders(config, validators, isRead) {
+        var headers = config.headers = extend({}, config.headers);
+        if (validators.$etag) {
+          headers[isRead ? 'If-None-Match' : 'If-Match'] = validators.$etag;
+        } else if (validators.$lastModified) {
+          headers[isRead ? 'If-Modified-Since' : 'If-Unmodified-Since'] = validators.$lastModified;
+        }
+      }
+
+      function sharePendingRead(config) {
+        var key = [config.method, config.url, toJson(config.params), toJson(config.headers)].
+            join('|');
+        var shared = pendingReads[key];
+        var deferred = $q.defer();
+
+        if (!shared) {
+          // The timeout of a single call must not abort the request of the others
+          var abort = $q.defer();
+          shared = pendingReads[key] = {calls: 0, abort: abort};
+          shared.promise = $http(extend({}, config, {timeout: abort.promise}));
+          shared.promise.then(removePendingRead, removePendingRead);
+        }
+        shared.calls++;
+
+        function removePendingRead() {
+          if (pendingReads[key] === shared) delete pendingReads[key];
+        }
+
+        var timeout = config.timeout;
+        var timeoutPromise = isNumber(timeout) ? $timeout(noop, timeout, false) : timeout;
+        if (timeoutPromise && isFunction(timeoutPromise.then)) {
+          timeoutPromise.then(function() {
+            deferred.reject({
+              data: null,
+              status: -1,
+              headers: function(name) {
+                return name ? null : {};
+              },
+              config: config,
+              statusText: '',
+              xhrStatus: isDefined(timeoutPromise.$$timeoutId) ? 'timeout' : 'abort'
+            });
+            // Abort the request once none of its calls is waiting for it anymore
+            if (!--shared.calls) {
+              removePendingRead();
+              shared.abort.resolve();
+            }
+          });
+        }
+
+        // Every call gets its own copy of the response data
+        shared.promise.then(function(response) {
+          deferred.resolve(extend({}, response, {config: config, data: copy(response.data)}));
+        }, function(response) {
+          deferred.reject(isObject(response) ?
+              extend({}, response, {config: config, data: copy(response.data)}) : response);
+        })['finally'](function() {
+          if (timeoutPromise !== timeout) $timeout.cancel(timeoutPromise);
+        });
+
+        return deferred.promise;
+      }
+
+      function hasUrlParam(template, param) {
+        return new RegExp('(^|[^\\\\]):' + param + '(\\W|$)').test(template);
+      }
+
       function resourceFactory(url, paramDefaults, actions, options) {
         var route = new Route(url, options);
+        // Validators and data of the last `GET` response per URL, for answering `304` responses
+        var etagCache = {};
 
         actions = extend({}, provider.defaults.actions, actions);
 
@@ -694,6 +1371,12 @@ angular.module('ngResource', ['ng']).
           return ids;
         }
 
+        function linkRelation(name, object) {
+          var relations = route.defaults.relations;
+          var RelatedResource = relations && relations[name] || Resource;
+          return new RelatedResource(object);
+        }
+
         function defaultResponseInterceptor(response) {
           return response.resource;
         }
@@ -707,14 +1390,80 @@ angular.module('ngResource', ['ng']).
           delete data.$promise;
           delete data.$resolved;
           delete data.$cancelRequest;
+          delete data.$pending;
+          delete data.$etag;
+          delete data.$lastModified;
           return data;
         };
 
+        // Bind the URL parameters of this resource that are mapped in `paramDefaults` to `instance`
+        Resource.$$bindParams = function(instance) {
+          var boundParams = {};
+          forEach(paramDefaults, function(value, key) {
+            if (hasUrlParam(url, key)) {
+              boundParams[key] = function() {
+                return extractParams(instance, {})[key];
+              };
+            }
+          });
+          return boundParams;
+        };
+
+        Resource.sub = function(subName, subUrl, subParamDefaults, subActions, subOptions) {
+          var template = url.replace(/\/+$/, '') + subUrl;
+          var SubResource = resourceFactory(template, subParamDefaults, subActions, subOptions);
+
+          Object.defineProperty(Resource.prototype, '$' + subName, {
+            configurable: true,
+            get: function() {
+              if (!this.$$subResources) {
+                Object.defineProperty(this, '$$subResources', {value: {}});
+              }
+              return this.$$subResources[subName] ||
+                  (this.$$subResources[subName] = bindToParent(this));
+            }
+          });
+
+          return SubResource;
+
+          function bindToParent(parent) {
+            var BoundResource = resourceFactory(template,
+                extend(parent.constructor.$$bindParams(parent), subParamDefaults),
+                subActions, subOptions);
+
+            // Make the sub-resources declared on `SubResource` available to the bound instances
+            Object.setPrototypeOf(BoundResource.prototype, SubResource.prototype);
+            return BoundResource;
+          }
+        };
+
         forEach(actions, function(action, name) {
           var hasBody = action.hasBody === true || (action.hasBody !== false && /^(POST|PUT|PATCH)$/i.test(action.method));
           var numericTimeout = action.timeout;
           var cancellable = isDefined(action.cancellable) ?
               action.cancellable : route.defaults.cancellable;
+          var offline = !/^(GET|HEAD|JSONP)$/i.test(action.method) &&
+              (isDefined(action.offline) ? action.offline : route.defaults.offline);
+          var onConflict = action.onConflict || route.defaults.onConflict;
+          var useEtag = isDefined(action.etag) ? action.etag : route.defaults.etag;
+          var isRead = /^(GET|HEAD)$/i.test(action.method);
+          var dedupe = isRead && (isDefined(action.dedupe) ? action.dedupe : route.defaults.dedupe);
+          var swr = isRead && (isDefined(action.swr) ? action.swr : route.defaults.swr);
+          var schema = action.schema || {};
+          if (swr === true) swr = {};
+          var swrCache = swr && (swr.cache || defaultSwrCache);
+          var paginate = action.isArray && action.paginate;
+          var envelope = isDefined(action.envelope) ? action.envelope : route.defaults.envelope;
+          var batch = isRead && !hasBody && !action.isArray && !cancellable && route.defaults.batch;
+          var batchQueues = {};
+
+          if (isString(envelope)) {
+            if (!provider.defaults.envelopes[envelope]) {
+              throw $resourceMinErr('badenvelope',
+                'Unknown envelope adapter `{0}` for action `{1}`.', envelope, name);
+            }
+            envelope = provider.defaults.envelopes[envelope];
+          }
 
           if (numericTimeout && !isNumber(numericTimeout)) {
             $log.debug('ngResource:\n' +
@@ -726,6 +1475,14 @@ angular.module('ngResource', ['ng']).
             numericTimeout = null;
           }
 
+          if (action.retry && !/^(GET|HEAD|OPTIONS|PUT|DELETE|POST)$/i.test(action.method)) {
+            $log.debug('ngResource:\n' +
+                       '  Only actions with an idempotent method (or `POST`) can be retried.\n' +
+                       '  Sending a `' + action.method + '` request again could apply its ' +
+                       'changes twice, so the `retry` option of action `' + name + '` is ignored.');
+            delete action.retry;
+          }
+
           Resource[name] = function(a1, a2, a3, a4) {
             var params = {}, data, onSuccess, onError;
 
@@ -765,7 +1522,10 @@ angular.module('ngResource', ['ng']).
                   arguments.length);
             }
 
-            var isInstanceCall = this instanceof Resource;
+            return callAction(this instanceof Resource, params, data, onSuccess, onError);
+          };
+
+          function callAction(isInstanceCall, params, data, onSuccess, onError, pageUrl) {
             var value = isInstanceCall ? data : (action.isArray ? [] : new Resource(data));
             var httpConfig = {};
             var requestInterceptor = action.interceptor && action.interceptor.request || undefined;
@@ -782,6 +1542,8 @@ angular.module('ngResource', ['ng']).
             var timeoutDeferred;
             var numericTimeoutPromise;
             var response;
+            var etagCacheKey;
+            var conditionalValidators;
 
             forEach(action, function(value, key) {
               switch (key) {
@@ -792,6 +1554,14 @@ angular.module('ngResource', ['ng']).
                 case 'isArray':
                 case 'interceptor':
                 case 'cancellable':
+                case 'offline':
+                case 'onConflict':
+                case 'etag':
+                case 'paginate':
+                case 'envelope':
+                case 'dedupe':
+                case 'swr':
+                case 'schema':
                   break;
               }
             });
@@ -805,21 +1575,174 @@ angular.module('ngResource', ['ng']).
               }
             }
 
-            if (hasBody) httpConfig.data = data;
-            route.setUrlParams(httpConfig,
-              extend({}, extractParams(data, action.params || {}), params),
-              action.url);
+            if (hasBody) {
+              httpConfig.data = envelope && isDefined(data) ?
+                  envelope.wrap(fromJson(toJson(data))) : data;
+            }
+            var requestParams = pageUrl ? {} :
+                extend({}, extractParams(data, action.params || {}), params);
+            // Page links already contain all the parameters
+            route.setUrlParams(httpConfig, requestParams, pageUrl || action.url);
+
+            if (useEtag) {
+              etagCacheKey = httpConfig.url + '|' + (toJson(httpConfig.params) || '');
+              conditionalValidators = isInstanceCall ?
+                  {$etag: value.$etag, $lastModified: value.$lastModified} :
+                  isRead && etagCache[etagCacheKey];
+              if (conditionalValidators) {
+                setConditionalHeaders(httpConfig, conditionalValidators, isRead);
+              }
+            }
+
+            var swrCacheKey = swr && [name, httpConfig.url, toJson(httpConfig.params)].join('|');
+            var swrEntry = swr && swrCache.get(swrCacheKey);
+            var promise;
+
+            if (swrEntry) {
+              // Serve the cached response now and revalidate it in the background, if it is stale
+              if (Date.now() - swrEntry.time >= swrEntry.maxAge) revalidate();
+              promise = $q.resolve(fromSwrEntry(swrEntry)).then(handleResponse);
+            } else {
+              promise = request().then(function(resp) {
+                return handleResponse(resp, swr);
+              }, handleError);
+            }
+
+            promise = promise['finally'](function() {
+              value.$resolved = true;
+              if (!isInstanceCall && cancellable) {
+                value.$cancelRequest = noop;
+                $timeout.cancel(numericTimeoutPromise);
+                timeoutDeferred = numericTimeoutPromise = httpConfig.timeout = null;
+              }
+            });
+
+            // Run the `success`/`error` callbacks, but do not let them affect the returned promise.
+            promise.then(successCallback, errorCallback);
+
+            if (!isInstanceCall) {
+              // we are creating instance / collection
+              // - set the initial promise
+              // - return the instance / collection
+              value.$promise = promise;
+              value.$resolved = false;
+              if (cancellable) value.$cancelRequest = cancelRequest;
+              if (paginate) {
+                value.$hasNext = value.$hasPrev = false;
+                value.$next = requestPage('next');
+                value.$prev = requestPage('prev');
+                value.$all = requestAllPages;
+              }
+
+              return value;
+            }
+
+            // instance call
+            return promise;
 
             // Start the promise chain
-            var promise = $q.
-              resolve(httpConfig).
-              then(requestInterceptor).
-              catch(requestErrorInterceptor).
-              then($http);
+            function request() {
+              return $q.
+                resolve(httpConfig).
+                then(validateRequest).
+                then(requestInterceptor).
+                catch(requestErrorInterceptor).
+                then(sendRequest);
+            }
+
+            function revalidate() {
+              // The response interceptor has already run for the stored response, so the new one
+              // is only applied to the instance or collection
+              request().then(function(resp) {
+                applyResponse(resp);
+                storeSwrEntry(resp);
+                value.$resolved = true;
+                if (!isInstanceCall && cancellable) value.$cancelRequest = noop;
+                $rootScope.$broadcast('$revalidated', value);
+              }, function(rejection) {
+                if (useEtag && rejection.status === 304 && conditionalValidators) {
+                  // Not modified: the stored response is fresh again
+                  swrCache.put(swrCacheKey, extend({}, swrEntry, {time: Date.now()}));
+                }
+              }).catch(noop);
+            }
+
+            function storeSwrEntry(resp) {
+              swrCache.put(swrCacheKey, {
+                response: {
+                  data: copy(resp.data),
+                  status: resp.status,
+                  statusText: resp.statusText,
+                  headers: resp.headers()
+                },
+                time: Date.now(),
+                maxAge: swr.maxAge || 0
+              });
+            }
+
+            function fromSwrEntry(entry) {
+              var headers = entry.response.headers;
+              return extend({}, entry.response, {
+                config: httpConfig,
+                data: copy(entry.response.data),
+                xhrStatus: 'complete',
+                headers: function(name) {
+                  return name ? headers[name.toLowerCase()] || null : headers;
+                }
+              });
+            }
+
+            function validateRequest(config) {
+              if (schema.request && hasBody && isDefined(data)) {
+                assertSchema(fromJson(toJson(data)), schema.request, 'request');
+              }
+              return config;
+            }
+
+            function assertSchema(value, valueSchema, kind) {
+              var errors = validateSchema(value, valueSchema, '$', []);
+              if (errors.length) {
+                var error = $resourceMinErr('schema',
+                  'The {0} data of action `{1}` does not match its schema: {2} (Request: {3} {4})',
+                  kind, name, errors.map(function(failure) {
+                    return failure.path + ' ' + failure.message;
+                  }).join(', '), httpConfig.method, httpConfig.url);
+                error.errors = errors;
+                throw error;
+              }
+            }
+
+            function sendRequest(config) {
+              var batchParam = batch && (batch.param || 'id');
+              if (batch && isDefined(requestParams[batchParam]) && !isInstanceCall) {
+                var otherParams = extend({}, requestParams);
+                delete otherParams[batchParam];
+                return batchRequest(config, requestParams[batchParam], otherParams);
+              }
+              return dedupe ? sharePendingRead(config) : $http(config);
+            }
+
+            function handleResponse(resp, store) {
+              applyResponse(resp);
+              // Only cache responses that made it through the envelope and schema checks
+              if (store) storeSwrEntry(resp);
+              response = resp;
+              return responseInterceptor(resp);
+            }
 
-            promise = promise.then(function(resp) {
+            function applyResponse(resp) {
               var data = resp.data;
 
+              if (paginate) {
+                data = readPage(resp);
+              }
+              if (envelope && data) {
+                data = envelope.unwrap(data, linkRelation, action.isArray);
+              }
+              if (schema.response && isDefined(data)) {
+                assertSchema(data, schema.response, 'response');
+              }
+
               if (data) {
                 // Need to convert action.isArray to boolean in case it is undefined
                 if (isArray(data) !== (!!action.isArray)) {
@@ -847,40 +1770,105 @@ angular.module('ngResource', ['ng']).
                 }
               }
 
+              if (useEtag) {
+                var validators = resp.status === 304 ?
+                    conditionalValidators : readValidators(resp.headers);
+
+                if (isRead && resp.status !== 304) {
+                  if (validators.$etag || validators.$lastModified) {
+                    etagCache[etagCacheKey] = extend({data: copy(resp.data)}, validators);
+                  } else {
+                    delete etagCache[etagCacheKey];
+                  }
+                }
+                if (!action.isArray) {
+                  value.$etag = validators.$etag;
+                  value.$lastModified = validators.$lastModified;
+                }
+              }
+
               resp.resource = value;
-              response = resp;
-              return responseInterceptor(resp);
-            }, function(rejectionOrResponse) {
-              rejectionOrResponse.resource = value;
-              response = rejectionOrResponse;
-              return responseErrorInterceptor(rejectionOrResponse);
-            });
+            }
 
-            promise = promise['finally'](function() {
-              value.$resolved = true;
-              if (!isInstanceCall && cancellable) {
-                value.$cancelRequest = noop;
-                $timeout.cancel(numericTimeoutPromise);
-                timeoutDeferred = numericTimeoutPromise = httpConfig.timeout = null;
+            function readPage(resp) {
+              var body = resp.data;
+              var items = body;
+              var pages;
+
+              if (isObject(paginate)) {
+                if (paginate.items) items = body && lookupDottedPath(body, paginate.items);
+                pages = {
+                  next: body && lookupDottedPath(body, paginate.cursor),
+                  prev: body && paginate.prevCursor && lookupDottedPath(body, paginate.prevCursor)
+                };
+              } else {
+                pages = parseLinkHeader(resp.headers('Link'));
               }
-            });
 
-            // Run the `success`/`error` callbacks, but do not let them affect the returned promise.
-            promise.then(successCallback, errorCallback);
+              value.$$pages = pages;
+              value.$hasNext = !!pages.next;
+              value.$hasPrev = !!pages.prev;
 
-            if (!isInstanceCall) {
-              // we are creating instance / collection
-              // - set the initial promise
-              // - return the instance / collection
-              value.$promise = promise;
-              value.$resolved = false;
-              if (cancellable) value.$cancelRequest = cancelRequest;
+              return items;
+            }
 
-              return value;
+            function requestPage(direction) {
+              return function() {
+                var page = value.$$pages && value.$$pages[direction];
+                if (!page) {
+                  throw $resourceMinErr('nopage',
+                    'There is no {0} page for action `{1}` (Request: {2} {3})', direction, name,
+                    httpConfig.method, httpConfig.url);
+                }
+
+                if (isObject(paginate)) {
+                  var pageParams = extend({}, params);
+                  pageParams[paginate.param || 'cursor'] = page;
+                  return callAction(false, pageParams, data);
+                }
+                return callAction(false, {}, data, undefined, undefined, page);
+              };
             }
 
-            // instance call
-            return promise;
+            function requestAllPages() {
+              var deferred = $q.defer();
+              var items = [];
+
+              (function collect(page) {
+                page.$promise.then(function() {
+                  items.push.apply(items, page);
+                  deferred.notify(page);
+                  if (page.$hasNext) {
+                    collect(page.$next());
+                  } else {
+                    deferred.resolve(items);
+                  }
+                }, deferred.reject);
+              })(value);
+
+              return deferred.promise;
+            }
+
+            function handleError(rejectionOrResponse) {
+              if (useEtag && rejectionOrResponse.status === 304 && conditionalValidators) {
+                // Not modified: reuse the data we already have
+                rejectionOrResponse.data = isInstanceCall ?
+                    undefined : copy(etagCache[etagCacheKey].data);
+                return handleResponse(rejectionOrResponse);
+              }
+
+              if (offline && isNetworkFailure(rejectionOrResponse)) {
+                // Resolve optimistically and send the request again once we are back online
+                enqueueOfflineRequest(rejectionOrResponse.config, value, onConflict);
+                value.$pending = true;
+                response = rejectionOrResponse;
+                return value;
+              }
+
+              rejectionOrResponse.resource = value;
+              response = rejectionOrResponse;
+              return responseErrorInterceptor(rejectionOrResponse);
+            }
 
             function cancelRequest(value) {
               promise.catch(noop);
@@ -888,8 +1876,89 @@ angular.module('ngResource', ['ng']).
                 timeoutDeferred.resolve(value);
               }
             }
-          };
+          }
+
+
+          function batchRequest(config, id, params) {
+            // The validators of a single item do not apply to the batch
+            var headers = {};
+            forEach(config.headers, function(value, header) {
+              if (!/^If-(None-Match|Modified-Since)$/i.test(header)) headers[header] = value;
+            });
+            // Only calls with the same headers can share a batch
+            var key = toJson([params, headers]);
+            var queue = batchQueues[key];
+            var deferred = $q.defer();
+
+            if (!queue) {
+              queue = batchQueues[key] = {
+                config: config,
+                params: params,
+                headers: headers,
+                calls: []
+              };
+              $rootScope.$evalAsync(function() {
+                delete batchQueues[key];
+                sendBatch(queue);
+              });
+            }
+            queue.calls.push({id: id, config: config, deferred: deferred});
+
+            return deferred.promise;
+          }
+
+          function sendBatch(queue) {
+            var listParam = batch.listParam || 'ids';
+            var itemKey = batch.key || batch.param || 'id';
+            var params = extend({}, queue.params);
+            var ids = [];
+            var batchConfig = {
+              method: batch.method || 'GET',
+              headers: queue.headers,
+              withCredentials: queue.config.withCredentials,
+              retry: queue.config.retry,
+              transformResponse: queue.config.transformResponse
+            };
+
+            forEach(queue.calls, function(call) {
+              if (ids.indexOf(call.id) === -1) ids.push(call.id);
+            });
+
+            if (/^POST$/i.test(batchConfig.method)) {
+              batchConfig.data = {};
+              batchConfig.data[listParam] = ids;
+            } else {
+              params[listParam] = ids.join(',');
+            }
+            route.setUrlParams(batchConfig, params, batch.url || action.url);
+
+            $http(batchConfig).then(function(response) {
+              var items = {};
+              if (isArray(response.data)) {
+                forEach(response.data, function(item) {
+                  if (isObject(item)) items[item[itemKey]] = item;
+                });
+              } else if (isObject(response.data)) {
+                items = response.data;
+              }
 
+              forEach(queue.calls, function(call) {
+                var item = items[call.id];
+                var callResponse = extend({}, response, {config: call.config, data: copy(item)});
+
+                if (isObject(item)) {
+                  call.deferred.resolve(callResponse);
+                } else {
+                  call.deferred.reject(
+                      extend(callResponse, {status: 404, statusText: 'Not Found'}));
+                }
+              });
+            }, function(response) {
+              forEach(queue.calls, function(call) {
+                call.deferred.reject(extend({}, response, {config: call.config}));
+              });
+            });
+          }
 
           Resource.prototype['$' + name] = function(params, success, error) {
             if (isFunction(params)) {
@@ -903,6 +1972,13 @@ angular.module('ngResource', ['ng']).
         return Resource;
       }
 
+      resourceFactory.offlineQueue = {
+        replay: replayOfflineQueue,
+        size: function() {
+          return offlineEntries.length;
+        }
+      };
+
       return resourceFactory;
     }];
   });
@@ -48,21 +48,33 @@ function shallowCopy(src, dst) {
  */
 function routeToRegExp(path, opts) {
   var keys = [];
+  var typePatterns = [];
 
   var pattern = path
     .replace(/([().])/g, '\\$1')
     .replace(/(\/)?:(\w+)(\*\?|[?*])?/g, function(_, slash, key, option) {
       var optional = option === '?' || option === '*?';
       var star = option === '*' || option === '*?';
+      var type = opts.paramTypes && opts.paramTypes[key];
       keys.push({name: key, optional: optional});
       slash = slash || '';
+      if (type) {
+        // Insert the pattern of the type after escaping the path (see below)
+        typePatterns.push(type.pattern);
+      }
       return (
         (optional ? '(?:' + slash : slash + '(?:') +
-        (star ? '(.+?)' : '([^/]+)') +
+        (type ? '(\u0000' + (typePatterns.length - 1) + '\u0000)' : star ? '(.+?)' : '([^/]+)') +
         (optional ? '?)?' : ')')
       );
     })
-    .replace(/([/$*])/g, '\\$1');
+    .replace(/([/$*])/g, '\\$1')
+    .replace(/\u0000(\d+)\u0000/g, function(_, index) {
+      // Make the groups of the type pattern non-capturing, to keep the parameter groups in order
+      return typePatterns[index].replace(/(\\.)|\((?!\?)/g, function(match, escaped) {
+        return escaped || '(?:';
+      });
+    });
 
   if (opts.ignoreTrailingSlashes) {
     pattern = pattern.replace(/\/+$/, '') + '/*';
@@ -126,7 +138,8 @@ var isEagerInstantiationEnabled;
  * ## Dependencies
  * Requires the {@link ngRoute `ngRoute`} module to be installed.
  */
-function $RouteProvider() {
+$RouteProvider.$inject = ['$locationProvider'];
+function $RouteProvider($locationProvider) {
   isArray = angular.isArray;
   isObject = angular.isObject;
   isDefined = angular.isDefined;
@@ -137,6 +150,8 @@ function $RouteProvider() {
   }
 
   var routes = {};
+  var namedRoutes = {};
+  var paramTypes = {};
 
   /**
    * @ngdoc method
@@ -283,6 +298,145 @@ function $RouteProvider() {
    *      If the option is set to `true`, then the particular route can be matched without being
    *      case sensitive
    *
+   *    - `views` - `{Object.<string, Object>=}` - A map of named views, for routes that fill more
+   *      than one region of the page. Each named view is rendered by the
+   *      {@link ngRoute.directive:ngView ngView} with the same name (e.g.
+   *      `<div ng-view="sidebar"></div>`), while the `template`/`templateUrl` and `controller` of
+   *      the route itself are rendered by the unnamed `ngView`. A view definition can have the
+   *      `template`, `templateUrl`, `controller`, `controllerAs`, `resolve` and `resolveAs`
+   *      properties, which work like the ones of the route. The resolved dependencies of the route
+   *      are available to all its views.
+   *
+   *      If the route changes but a named view of the new route uses the same view definition
+   *      object as the previous one (and the path parameters are unchanged), that view is kept
+   *      instead of being re-rendered.
+   *
+   *    - `children` - `{Object.<string, Object>=}` - A map of child routes. Each key is a path
+   *      relative to `path` (e.g. `/servers/:serverId`) and each value is a route definition, which
+   *      may itself have `children`. Child routes are matched like any other route, but their
+   *      template is rendered by an {@link ngRoute.directive:ngView ngView} nested inside the
+   *      template of their parent route, while the parent's view stays in place:
+   *
+   *      - When navigating between the children of a parent route (or from a child to its parent),
+   *        the views of the parent routes are kept, as long as their own path parameters are
+   *        unchanged. Only the views of the routes that differ are re-rendered.
+   *      - The resolved `resolve` dependencies of a parent route are available to the `resolve`
+   *        functions and controllers of its children, and are not resolved again for views that
+   *        are kept.
+   *
+   *    - `paramTypes` - `{Object=}` - the types of the path parameters, mapping parameter names
+   *      to one of:
+   *
+   *      - the name of a type: `'int'`, `'bool'`, `'date'` (as `yyyy-MM-dd`) or a type registered
+   *        with {@link ngRoute.$routeProvider#paramType $routeProvider.paramType()},
+   *      - an array of the allowed values,
+   *      - a `RegExp` that valid values must match,
+   *      - a type definition object, as accepted by `$routeProvider.paramType()`.
+   *
+   *      The route only matches URLs whose parameters are valid, so other routes (or the
+   *      {@link ngRoute.$routeProvider#otherwise otherwise} route) get a chance to match an
+   *      invalid URL. The decoded values (e.g. numbers or `Date` objects) are available in
+   *      `$routeParams`, and encoded again when building URLs. Child routes inherit the types of
+   *      the parameters of their parent routes.
+   *
+   *      ```js
+   *      $routeProvider.when('/projects/:projectId/:tab?', {
+   *        templateUrl: 'project.html',
+   *        paramTypes: {projectId: 'int', tab: ['overview', 'members']}
+   *      });
+   *      ```
+   *
+   *    - `loadModules` - `{(Function|Array)=}` - an injectable function for routes whose code is
+   *      not part of the initial page load. It returns the name of a module (or an
+   *      `angular.module()` object, or an array of them), or a promise for it, e.g. after loading
+   *      the script bundle that defines the module. The modules are loaded into the running
+   *      injector (see {@link auto.$injector#loadNewModules $injector.loadNewModules()}) before the
+   *      `resolve` dependencies of the route are resolved, so the resolve functions, controllers,
+   *      directives and filters of the route can come from the loaded modules.
+   *
+   *      The function is only called once per route. If it throws or the promise is rejected, the
+   *      {@link ngRoute.$route#$routeChangeError $routeChangeError} event is fired and the
+   *      modules are loaded again the next time the route is navigated to.
+   *
+   *      ```js
+   *      $routeProvider.when('/admin', {
+   *        templateUrl: 'admin/index.html',
+   *        controller: 'AdminController',
+   *        // `scriptLoader` stands for a service of the application that loads a script
+   *        loadModules: function(scriptLoader) {
+   *          return scriptLoader.load('admin/admin.bundle.js').then(function() {
+   *            return 'app.admin';
+   *          });
+   *        }
+   *      });
+   *      ```
+   *
+   *    - `query` - `{Object=}` - the search params of the route, mapping their names to objects
+   *      with the following properties:
+   *
+   *      - `type` - the type of the param, as accepted by `paramTypes` (e.g. `'int'` or an
+   *        array of the allowed values). Invalid values are replaced by the default.
+   *      - `default` - the value of the param when it is missing from the URL. If it is an array,
+   *        the param can be repeated and its value is always an array.
+   *
+   *      A type can also be given instead of the object. The decoded values are available in
+   *      {@link ngRoute.$routeQuery $routeQuery}, which also updates the URL when it is changed.
+   *      Navigating to a URL that differs only in declared params does not reload the route.
+   *
+   *    - `label` - `{string=}` - an {@link guide/expression expression} for the label of the route
+   *      in the breadcrumb trail (see {@link ngRoute.$routeBreadcrumbs $routeBreadcrumbs}), e.g.
+   *      `"'Projects'"` or `'project.name'`. It is evaluated against the resolved `resolve`
+   *      dependencies of the current route and `$routeParams`.
+   *
+   *    - `transition` - `{string=}` - CSS classes to add to the entering and leaving
+   *      {@link ngRoute.directive:ngView ngView} elements when navigating to the route, next to
+   *      the `ng-view-forward`/`ng-view-back` direction classes, so that animations can be
+   *      defined per route (e.g. `'slide'`).
+   *
+   *    - `[restoreScroll=true]` - `{boolean=}` - restore the scroll positions of the page when
+   *      the route is navigated to by going back or forward in the browser history (see
+   *      {@link ngRoute.directive:ngView ngView}).
+   *
+   *    - `title` - `{string=}` - the title of the document while the route is active. It is
+   *      {@link ng.$interpolate interpolated} against the resolved `resolve` dependencies of the
+   *      route and `$routeParams` (e.g. `'{{project.name}} - {{$routeParams.tab}}'`). Child routes
+   *      without a `title` keep the one of their parent. When navigating to a route without a
+   *      title, the original title of the document is restored. See also
+   *      {@link ngRoute.$route#setTitle $route.setTitle()}.
+   *
+   *    - `meta` - `{Object.<string, string>=}` - the content of meta tags while the route is
+   *      active, mapping their `name` (or `property`, for names containing `:`, like `og:title`)
+   *      to their content. The content is interpolated like `title`, and extends the `meta` of the
+   *      parent routes. Missing tags are added to the document head. When navigating away, the
+   *      tags get their original content back, or are removed if they have been added.
+   *
+   *    - `name` - `{string=}` - a name for the route, so that links to it can be built with
+   *      {@link ngRoute.$route#href $route.href()} or the
+   *      {@link ngRoute.directive:ngRouteHref ngRouteHref} directive instead of hard-coding its
+   *      path.
+   *
+   *    - `canActivate` - `{(Function|Array)=}` - an injectable function deciding whether the route
+   *      may be entered. Besides services, the function can inject `$next` (the route being
+   *      navigated to) and `$current` (the current route). It returns a boolean, or a promise that
+   *      resolves to one; navigation continues once it resolves to anything other than `false`.
+   *
+   *    - `canDeactivate` - `{(Function|Array)=}` - like `canActivate`, but deciding whether the
+   *      view of the route may be left (e.g. to ask the user about unsaved changes).
+   *
+   *      The guards are checked before the URL change is committed, so a blocked navigation leaves
+   *      the URL untouched. If a guard returns a promise, the navigation is held back and
+   *      re-applied once they all agree. When the user goes back or forward in the history, the
+   *      browser has already changed the URL, so only the route change is held back; if it is
+   *      blocked, the URL of the current route is put back in place of the new history entry
+   *      (replacing it rather than adding another one). The `canDeactivate` guards of the views
+   *      being left are checked first (innermost first), followed by the `canActivate` guards of
+   *      the routes being entered. Parent routes whose views are kept are not asked. If a guard
+   *      throws or its promise is rejected, the navigation is blocked. A newer navigation discards
+   *      pending guards.
+   *
+   *      The controller of a view being left can also take part, by having a
+   *      `$routerCanDeactivate(next, current)` method with the same return values.
+   *
    * @returns {Object} self
    *
    * @description
@@ -300,11 +454,20 @@ function $RouteProvider() {
     if (angular.isUndefined(routeCopy.caseInsensitiveMatch)) {
       routeCopy.caseInsensitiveMatch = this.caseInsensitiveMatch;
     }
+    if (routeCopy.paramTypes) {
+      routeCopy.paramTypes = getParamTypes(routeCopy.paramTypes);
+    }
+    if (routeCopy.query) {
+      routeCopy.query = getQueryParams(routeCopy.query);
+    }
     routes[path] = angular.extend(
       routeCopy,
       {originalPath: path},
       path && routeToRegExp(path, routeCopy)
     );
+    if (routeCopy.name) {
+      namedRoutes[routeCopy.name] = routes[path];
+    }
 
     // create redirection for trailing slashes
     if (path) {
@@ -316,6 +479,20 @@ function $RouteProvider() {
         {originalPath: path, redirectTo: path},
         routeToRegExp(redirectPath, routeCopy)
       );
+
+      // register child routes below this one
+      var parent = routes[path];
+      angular.forEach(routeCopy.children, function(childRoute, childPath) {
+        var fullPath = path.replace(/\/+$/, '') + childPath;
+        // The parameters of the parent are part of the path of the child, with the same types
+        if (route.paramTypes) {
+          childRoute = inherit(childRoute, {
+            paramTypes: angular.extend({}, route.paramTypes, childRoute.paramTypes)
+          });
+        }
+        this.when(fullPath, childRoute);
+        routes[fullPath].$$parent = parent;
+      }, this);
     }
 
     return this;
@@ -332,6 +509,115 @@ function $RouteProvider() {
    */
   this.caseInsensitiveMatch = false;
 
+  /**
+   * @ngdoc method
+   * @name $routeProvider#paramType
+   *
+   * @description
+   * Registers a type for route parameters, which can then be referred to by name in the
+   * `paramTypes` of a route definition. The `int`, `bool` and `date` types are built in.
+   *
+   * ```js
+   * $routeProvider.paramType('slug', {
+   *   pattern: /[a-z0-9]+(-[a-z0-9]+)*\/,
+   *   decode: function(value) { return value.toLowerCase(); }
+   * });
+   * ```
+   *
+   * @param {string} name The name of the type.
+   * @param {Object} definition The type, with the following properties:
+   *
+   *    - `pattern` - `{(string|RegExp)}` - the pattern of valid values in the path. It must not
+   *      match `/`, except for wildcard (`:name*`) parameters.
+   *    - `decode` - `{Function=}` - converts a (URL-decoded) path segment into the value stored in
+   *      `$routeParams`. Returning `undefined` rejects the value, so that the route does not match.
+   *    - `encode` - `{Function=}` - converts a value back into a path segment, when building URLs
+   *      (e.g. with {@link ngRoute.$route#href $route.href()} or `redirectTo`).
+   *
+   * @returns {Object} self
+   */
+  this.paramType = function(name, definition) {
+    paramTypes[name] = getParamType(definition);
+    return this;
+  };
+
+  this.paramType('int', {
+    pattern: /-?\d+/,
+    decode: function(value) { return parseInt(value, 10); }
+  });
+  this.paramType('bool', {
+    pattern: /true|false|1|0/,
+    decode: function(value) { return value === 'true' || value === '1'; },
+    encode: function(value) { return value ? 'true' : 'false'; }
+  });
+  this.paramType('date', {
+    pattern: /\d{4}-\d{2}-\d{2}/,
+    decode: function(value) {
+      var parts = value.split('-');
+      var date = new Date(parts[0], parts[1] - 1, parts[2]);
+      // Reject dates that do not exist (e.g. `2020-02-30`)
+      return date.getMonth() === parts[1] - 1 ? date : undefined;
+    },
+    encode: function(date) {
+      return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(function(part) {
+        return (part < 10 ? '0' : '') + part;
+      }).join('-');
+    }
+  });
+
+  function getParamType(definition) {
+    var pattern = definition.pattern;
+    return angular.extend({decode: angular.identity, encode: String}, definition, {
+      pattern: isRegExp(pattern) ? pattern.source : pattern
+    });
+  }
+
+  function getParamTypes(specs) {
+    var types = {};
+    angular.forEach(specs, function(spec, key) {
+      if (angular.isString(spec)) {
+        if (!paramTypes.hasOwnProperty(spec)) {
+          throw $routeMinErr('badtype', 'Unknown type \'{0}\' of route parameter \'{1}\'',
+              spec, key);
+        }
+        types[key] = paramTypes[spec];
+      } else if (isArray(spec)) {
+        // A list of allowed values
+        types[key] = getParamType({
+          pattern: spec.map(function(value) {
+            return String(value).replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+          }).join('|')
+        });
+      } else {
+        types[key] = getParamType(isRegExp(spec) ? {pattern: spec} : spec);
+      }
+    });
+    return types;
+  }
+
+  function getQueryParams(specs) {
+    var params = {};
+    angular.forEach(specs, function(spec, name) {
+      if (!isObject(spec) || isArray(spec) || isRegExp(spec)) {
+        spec = {type: spec};
+      }
+      var types = {};
+      types[name] = spec.type;
+      var type = isDefined(spec.type) ? getParamTypes(types)[name] : undefined;
+      params[name] = {
+        type: type,
+        regexp: type && new RegExp('^(?:' + type.pattern + ')$'),
+        default: spec.default,
+        array: isArray(spec.default)
+      };
+    });
+    return params;
+  }
+
+  function isRegExp(value) {
+    return Object.prototype.toString.call(value) === '[object RegExp]';
+  }
+
   /**
    * @ngdoc method
    * @name $routeProvider#otherwise
@@ -402,7 +688,17 @@ function $RouteProvider() {
                '$templateRequest',
                '$sce',
                '$browser',
-      function($rootScope, $location, $routeParams, $q, $injector, $templateRequest, $sce, $browser) {
+               '$sniffer',
+               '$httpParamSerializer',
+               '$document',
+               '$interpolate',
+               '$routeQuery',
+               '$routeBreadcrumbs',
+               '$parse',
+               '$$routeHistory',
+      function($rootScope, $location, $routeParams, $q, $injector, $templateRequest, $sce, $browser,
+               $sniffer, $httpParamSerializer, $document, $interpolate, $routeQuery,
+               $routeBreadcrumbs, $parse, $$routeHistory) {
 
     /**
      * @ngdoc service
@@ -424,6 +720,12 @@ function $RouteProvider() {
      *     The `locals` will be assigned to the route scope's `$resolve` property. You can override
      *     the property name, using `resolveAs` in the route definition. See
      *     {@link ngRoute.$routeProvider $routeProvider} for more info.
+     *   - `levels`: An array with one entry for the current route and each of its parent routes
+     *     (see `children` in {@link ngRoute.$routeProvider#when $routeProvider.when()}), starting
+     *     with the outermost one. Each entry has the `$$route` definition, the `pathParams` of that
+     *     route, its `locals` (including the resolved dependencies of its parents) and its `views`.
+     *     `views` maps the name of each view of the route (`''` for the unnamed one) to an object
+     *     with the view's `definition`, `locals` and the `scope` it was rendered with.
      *
      * @property {Object} routes Object with all route configuration Objects as its properties.
      *
@@ -605,6 +907,11 @@ function $RouteProvider() {
      */
 
     var forceReload = false,
+        approvedUrl = null,
+        pendingGuardCheck = null,
+        committedUrl = null,
+        restoringUrl = false,
+        skipCommit = false,
         preparedRoute,
         preparedRouteIsUpdateOnly,
         $route = {
@@ -654,18 +961,172 @@ function $RouteProvider() {
           updateParams: function(newParams) {
             if (this.current && this.current.$$route) {
               newParams = angular.extend({}, this.current.params, newParams);
-              $location.path(interpolate(this.current.$$route.originalPath, newParams));
+              $location.path(interpolate(this.current.$$route.originalPath, newParams,
+                  this.current.$$route.paramTypes));
               // interpolate modifies newParams, only query params are left
               $location.search(newParams);
             } else {
               throw $routeMinErr('norout', 'Tried updating route with no current route');
             }
+          },
+
+          /**
+           * @ngdoc method
+           * @name $route#href
+           *
+           * @description
+           * Builds the URL of a route registered with a `name`, for use in the `href` of a link.
+           * Properties of `params` that match the path parameters of the route are interpolated
+           * into its path (optional `:param?` parameters may be left out, wildcard `:param*`
+           * parameters may contain slashes), while remaining properties are appended as query
+           * params. The URL includes the hash prefix (e.g. `#!`) unless `$location` is in HTML5
+           * mode.
+           *
+           * See also {@link ngRoute.directive:ngRouteHref ngRouteHref}.
+           *
+           * @param {string} name The `name` of the route.
+           * @param {Object=} params Mapping of URL parameter names to values.
+           * @returns {string} The URL of the route.
+           */
+          href: function(name, params) {
+            var route = getNamedRoute(name);
+            var missing = findMissingParam(route, params);
+            if (missing) {
+              throw $routeMinErr('noparam', 'Missing parameter \'{0}\' for route \'{1}\'',
+                  missing, name);
+            }
+
+            params = angular.extend({}, params);
+            var path = interpolate(route.originalPath, params, route.paramTypes, true);
+            // interpolate modifies params, only query params are left
+            var query = $httpParamSerializer(params);
+
+            return getLinkPrefix() + path + (query ? '?' + query : '');
+          },
+
+          /**
+           * @private
+           *
+           * Returns the name of the first required path parameter of a named route that is missing
+           * from `params`, if any. Used by `ngRouteHref` to skip links whose params are not known
+           * yet.
+           */
+          $$missingParam: function(name, params) {
+            return findMissingParam(getNamedRoute(name), params);
+          },
+
+          /**
+           * @ngdoc method
+           * @name $route#setTitle
+           *
+           * @description
+           * Sets the document title, e.g. once data that is not resolved by the route has been
+           * loaded. The title is replaced by the one of the next route (or the original title of
+           * the document) when navigating away.
+           *
+           * @param {string} title The new document title.
+           */
+          setTitle: function(title) {
+            $document[0].title = title;
+          },
+
+          /**
+           * @ngdoc method
+           * @name $route#prefetch
+           *
+           * @description
+           * Loads the templates of the route matching `url` (and of its parent routes and named
+           * views) into the {@link ng.$templateCache $templateCache}, so that navigating to it
+           * later does not have to wait for them. This is what the
+           * {@link ngRoute.directive:ngRoutePrefetch ngRoutePrefetch} directive does when a link
+           * is hovered or scrolled into view.
+           *
+           * If `options.resolve` is `true`, the `resolve` dependencies of the route are resolved
+           * as well. If the route is navigated to within `options.ttl` milliseconds (with the
+           * same parameters), its views use the prefetched values instead of resolving them
+           * again. While prefetching, resolve functions that inject `$route` get a `$route`
+           * whose `current` is the prefetched route, so that they can read its parameters from
+           * `$route.current.params` as usual.
+           *
+           * Prefetching is a best effort: if it fails, the route is resolved as usual when
+           * navigating to it.
+           *
+           * @param {string} url The URL of the route, as accepted by
+           *    {@link ng.$location#url $location.url()}, or the `href` of a link to it (e.g. as
+           *    built by {@link ngRoute.$route#href $route.href()}).
+           * @param {Object=} options
+           *
+           *    - `resolve` - `{boolean=}` - whether to resolve the `resolve` dependencies too.
+           *    - `ttl` - `{number=}` - how long the resolved dependencies can be used, in
+           *      milliseconds. Defaults to 10 seconds.
+           * @returns {Promise} A promise that is resolved once the route has been prefetched.
+           */
+          prefetch: function(url, options) {
+            options = options || {};
+
+            var prefix = getLinkPrefix();
+            if (url.indexOf(prefix) === 0) {
+              url = url.slice(prefix.length);
+            }
+            var parts = /^([^?#]*)(?:\?([^#]*))?/.exec(url);
+            var route = parseRoute(decodePath(parts[1]), parseSearch(parts[2]));
+            if (!route || route.redirectTo || route.resolveRedirectTo) {
+              return $q.resolve();
+            }
+
+            if (!options.resolve) {
+              return $q.all(getDefinitions(route).map(function(definition) {
+                var definitions = [definition];
+                angular.forEach(definition.views, function(view) {
+                  definitions.push(view);
+                });
+                return $q.all(definitions.map(function(definition) {
+                  return getTemplateFor(inherit(definition, {params: route.params}), true);
+                }));
+              })).catch(noop);
+            }
+
+            var now = Date.now();
+            prefetchedRoutes = prefetchedRoutes.filter(function(entry) {
+              return entry.expires > now;
+            });
+            var entry = getPrefetchedRoute(route);
+            if (!entry) {
+              entry = {route: route, expires: now + (isDefined(options.ttl) ? options.ttl : 10000)};
+              // Let the resolve functions read the params of the prefetched route
+              entry.levels = resolveLevels(route, null, false, {
+                $route: inherit($route, {current: route})
+              }).catch(function(error) {
+                prefetchedRoutes.splice(prefetchedRoutes.indexOf(entry), 1);
+                return $q.reject(error);
+              });
+              prefetchedRoutes.push(entry);
+            }
+            return entry.levels.catch(noop);
           }
         };
 
+    // Routes that have been prefetched with their resolved dependencies
+    var prefetchedRoutes = [];
+
+    // The title and the meta tags of the document, before routes changed them
+    var originalTitle = $document[0].title;
+    var originalMeta = {};
+
+    // The route whose `query` has been applied to `$routeQuery`
+    var queryRoute;
+
     $rootScope.$on('$locationChangeStart', prepareRoute);
     $rootScope.$on('$locationChangeSuccess', commitRoute);
 
+    // Changes to `$routeQuery` (e.g. through bindings) are reflected in the URL
+    $rootScope.$watch(function() { return $routeQuery; }, function(query, oldQuery) {
+      if (query !== oldQuery && queryRoute &&
+          !angular.equals(query, getRouteQuery(queryRoute, $location.search()))) {
+        $location.search(getSearch(queryRoute, query));
+      }
+    }, true);
+
     return $route;
 
     /////////////////////////////////////////////////////
@@ -696,6 +1157,11 @@ function $RouteProvider() {
         var val = m[i];
 
         if (key && val) {
+          var type = route.paramTypes && route.paramTypes[key.name];
+          if (type) {
+            val = type.decode(val);
+            if (val === undefined) return null;
+          }
           params[key.name] = val;
         }
       }
@@ -705,11 +1171,43 @@ function $RouteProvider() {
     function prepareRoute($locationEvent) {
       var lastRoute = $route.current;
 
+      skipCommit = false;
+      if (restoringUrl) {
+        // Putting back the URL of a blocked history navigation, the route has not changed
+        restoringUrl = false;
+        skipCommit = true;
+        return;
+      }
+
       preparedRoute = parseRoute();
       preparedRouteIsUpdateOnly = isNavigationUpdateOnly(preparedRoute, lastRoute);
 
       if (!preparedRouteIsUpdateOnly && (lastRoute || preparedRoute)) {
-        if ($rootScope.$broadcast('$routeChangeStart', preparedRoute, lastRoute).defaultPrevented) {
+        var url = $location.url();
+        pendingGuardCheck = null;
+        var guards = approvedUrl === url ? [] : getGuards(preparedRoute, lastRoute, forceReload);
+        var allowed = runGuards(guards);
+        approvedUrl = null;
+
+        if (allowed !== true) {
+          // The browser has already moved to the history entry of a back/forward navigation, so
+          // the URL is kept and only the route is held back. Otherwise the URL change is
+          // cancelled, and re-applied once (and if) the guards all agree.
+          var isReload = forceReload;
+          var fromHistory = !!$locationEvent && $locationEvent.name === '$locationChangeStart' &&
+              $$routeHistory.fromHistory;
+          if (fromHistory) {
+            skipCommit = true;
+          } else if ($locationEvent) {
+            $locationEvent.preventDefault();
+          }
+          if (allowed) {
+            checkGuards(allowed, url, isReload, fromHistory);
+          } else if (fromHistory) {
+            restoreUrl();
+          }
+        } else if ($rootScope.$broadcast('$routeChangeStart', preparedRoute,
+            lastRoute).defaultPrevented) {
           if ($locationEvent) {
             $locationEvent.preventDefault();
           }
@@ -717,15 +1215,128 @@ function $RouteProvider() {
       }
     }
 
+    function getGuards(nextRoute, lastRoute, isReload) {
+      var keptLevels = countKeptLevels(nextRoute, lastRoute, isReload);
+      var lastLevels = (lastRoute && lastRoute.levels) || [];
+      var locals = {$next: nextRoute, $current: lastRoute};
+      var guards = [];
+
+      // Ask the views being left first (innermost first), then the routes being entered
+      lastLevels.slice(keptLevels).reverse().forEach(function(level) {
+        angular.forEach(level.views, function(view) {
+          var controller = view.controller;
+          if (controller && angular.isFunction(controller.$routerCanDeactivate)) {
+            guards.push(function() {
+              return controller.$routerCanDeactivate(nextRoute, lastRoute);
+            });
+          }
+        });
+        if (level.$$route.canDeactivate) {
+          guards.push(function() {
+            return $injector.invoke(level.$$route.canDeactivate, null, locals);
+          });
+        }
+      });
+      getDefinitions(nextRoute).slice(keptLevels).forEach(function(definition) {
+        if (definition.canActivate) {
+          guards.push(function() {
+            return $injector.invoke(definition.canActivate, null, locals);
+          });
+        }
+      });
+
+      return guards;
+    }
+
+    /**
+     * Runs the guards in order, as long as they return plain values, so that a navigation they all
+     * allow right away does not need to be held back.
+     *
+     * @returns {boolean|Promise} whether the navigation is allowed, or a promise resolving to it
+     *     once a guard has returned a promise (the remaining guards are run after it)
+     */
+    function runGuards(guards) {
+      for (var i = 0; i < guards.length; i++) {
+        var result;
+        try {
+          result = guards[i]();
+        } catch (e) {
+          return false;
+        }
+        if (result && angular.isFunction(result.then)) {
+          return guards.slice(i + 1).reduce(function(promise, guard) {
+            return promise.then(function(allowed) {
+              return allowed && $q.resolve(guard()).then(function(result) {
+                return result !== false;
+              });
+            });
+          }, $q.resolve(result).then(function(result) {
+            return result !== false;
+          })).catch(function() {
+            return false;
+          });
+        }
+        if (result === false) return false;
+      }
+      return true;
+    }
+
+    function checkGuards(promise, url, isReload, fromHistory) {
+      var check = pendingGuardCheck = {};
+
+      $browser.$$incOutstandingRequestCount('$route');
+
+      promise.then(function(allowed) {
+        // Ignore the outcome if another navigation has started in the meantime
+        if (check !== pendingGuardCheck) return;
+
+        pendingGuardCheck = null;
+        if (!allowed) {
+          if (fromHistory) restoreUrl();
+          return;
+        }
+
+        approvedUrl = url;
+        if (isReload) {
+          $route.reload();
+        } else if ($location.url() !== url) {
+          $location.url(url);
+        } else {
+          // The URL is already there (after a history navigation or for the initial one)
+          prepareRoute();
+          commitRoute();
+        }
+      }).finally(function() {
+        $browser.$$completeOutstandingRequest(noop, '$route');
+      });
+    }
+
+    // Puts back the URL of the current route after a blocked history navigation, in place of the
+    // history entry the browser went to rather than in a new one
+    function restoreUrl() {
+      if (committedUrl === null || $location.url() === committedUrl) return;
+      restoringUrl = true;
+      $location.url(committedUrl).replace();
+    }
+
     function commitRoute() {
+      if (skipCommit) {
+        skipCommit = false;
+        return;
+      }
+
       var lastRoute = $route.current;
       var nextRoute = preparedRoute;
+      committedUrl = $location.url();
 
       if (preparedRouteIsUpdateOnly) {
         lastRoute.params = nextRoute.params;
         angular.copy(lastRoute.params, $routeParams);
+        updateRouteQuery(lastRoute);
+        updateBreadcrumbs(lastRoute);
         $rootScope.$broadcast('$routeUpdate', lastRoute);
       } else if (nextRoute || lastRoute) {
+        var isReload = forceReload;
         forceReload = false;
         $route.current = nextRoute;
 
@@ -738,14 +1349,23 @@ function $RouteProvider() {
           then(handlePossibleRedirection).
           then(function(keepProcessingRoute) {
             return keepProcessingRoute && nextRoutePromise.
-              then(resolveLocals).
-              then(function(locals) {
+              then(function(route) {
+                var prefetched = route && getPrefetchedRoute(route);
+                return prefetched ?
+                    usePrefetchedLevels(prefetched, route, lastRoute, isReload) :
+                    resolveLevels(route, lastRoute, isReload);
+              }).
+              then(function(levels) {
                 // after route change
                 if (nextRoute === $route.current) {
                   if (nextRoute) {
-                    nextRoute.locals = locals;
+                    nextRoute.levels = levels;
+                    nextRoute.locals = levels[levels.length - 1].locals;
                     angular.copy(nextRoute.params, $routeParams);
                   }
+                  updateRouteQuery(nextRoute);
+                  updateBreadcrumbs(nextRoute);
+                  updateDocumentHead(nextRoute);
                   $rootScope.$broadcast('$routeChangeSuccess', nextRoute, lastRoute);
                 }
               });
@@ -773,7 +1393,7 @@ function $RouteProvider() {
       if (route) {
         if (route.redirectTo) {
           if (angular.isString(route.redirectTo)) {
-            data.path = interpolate(route.redirectTo, route.params);
+            data.path = interpolate(route.redirectTo, route.params, route.paramTypes);
             data.search = route.params;
             data.hasRedirection = true;
           } else {
@@ -834,23 +1454,403 @@ function $RouteProvider() {
       return keepProcessingRoute;
     }
 
-    function resolveLocals(route) {
+    /**
+     * @param {Object=} injectLocals additional locals for the resolve functions, which are not
+     *     part of the resolved locals
+     */
+    function resolveLevels(route, lastRoute, isReload, injectLocals) {
       if (route) {
-        var locals = angular.extend({}, route.resolve);
-        angular.forEach(locals, function(value, key) {
-          locals[key] = angular.isString(value) ?
-              $injector.get(value) :
-              $injector.invoke(value, null, null, key);
+        var definitions = getDefinitions(route);
+        var lastLevels = (!isReload && lastRoute && lastRoute.levels) || [];
+        var keptLevels = countKeptLevels(route, lastRoute, isReload);
+        var levels = lastLevels.slice(0, keptLevels);
+
+        return definitions.slice(keptLevels).reduce(function(promise, definition, index) {
+          return promise.then(function(parentLocals) {
+            var depth = keptLevels + index;
+            var isLeaf = depth === definitions.length - 1;
+
+            return loadRouteModules(definition).
+              then(function() {
+                return resolveLocals(isLeaf ? route : inherit(definition, {params: route.params}),
+                    parentLocals, injectLocals);
+              }).
+              then(function(locals) {
+                var level = {
+                  $$route: definition,
+                  depth: depth,
+                  pathParams: getLevelParams(definition, route),
+                  locals: locals,
+                  views: {'': {name: '', definition: definition, locals: locals}}
+                };
+                levels.push(level);
+                var lastLevel = lastLevels[depth];
+                return resolveViews(level, route.params, lastLevel, injectLocals).then(function() {
+                  return locals;
+                });
+              });
+          });
+        }, $q.resolve(keptLevels ? levels[keptLevels - 1].locals : {})).then(function() {
+          return levels;
         });
-        var template = getTemplateFor(route);
-        if (angular.isDefined(template)) {
-          locals['$template'] = template;
+      }
+    }
+
+    /**
+     * @returns {Array.<Object>} the route definitions from the outermost parent to the leaf
+     */
+    function getDefinitions(route) {
+      var definitions = [];
+      if (route) {
+        for (var definition = route.$$route || routes[null]; definition;
+             definition = definition.$$parent) {
+          definitions.unshift(definition);
+        }
+      }
+      return definitions;
+    }
+
+    function getLevelParams(definition, route) {
+      var pathParams = {};
+      angular.forEach(definition.keys, function(key) {
+        if (isDefined(route.pathParams[key.name])) {
+          pathParams[key.name] = route.pathParams[key.name];
+        }
+      });
+      return pathParams;
+    }
+
+    /**
+     * @returns {number} how many of the outer levels of `lastRoute` are kept when navigating to
+     *     `route`
+     */
+    function countKeptLevels(route, lastRoute, isReload) {
+      var definitions = getDefinitions(route);
+      var lastLevels = (!isReload && lastRoute && lastRoute.levels) || [];
+      var depth = 0;
+
+      // Keep the parent views (and the view of a parent we are navigating back to), as long
+      // as they (and their own parents) are unchanged
+      for (; depth < definitions.length; depth++) {
+        var lastLevel = lastLevels[depth];
+        var isLeaf = depth === definitions.length - 1;
+        if (!lastLevel || lastLevel.$$route !== definitions[depth] ||
+            !angular.equals(lastLevel.pathParams, getLevelParams(definitions[depth], route)) ||
+            (isLeaf && depth >= lastLevels.length - 1)) {
+          break;
+        }
+      }
+      return depth;
+    }
+
+    function resolveViews(level, params, lastLevel, injectLocals) {
+      var promises = [];
+
+      angular.forEach(level.$$route.views, function(definition, name) {
+        var lastView = lastLevel && lastLevel.views[name];
+        if (lastView && lastView.definition === definition &&
+            angular.equals(lastLevel.pathParams, level.pathParams)) {
+          level.views[name] = lastView;
+          return;
+        }
+
+        promises.push(resolveLocals(inherit(definition, {params: params}), level.locals,
+            injectLocals).
+          then(function(locals) {
+            level.views[name] = {name: name, definition: definition, locals: locals};
+          }));
+      });
+
+      return $q.all(promises);
+    }
+
+    function loadRouteModules(definition) {
+      if (!definition.loadModules) return $q.resolve();
+
+      // Only load the modules once, unless loading them failed
+      if (!definition.$$modulesLoaded) {
+        definition.$$modulesLoaded = $q.resolve($injector.invoke(definition.loadModules, null, null,
+            'loadModules')).
+          then(function(modules) {
+            modules = isArray(modules) ? modules : [modules];
+            $injector.loadNewModules(modules.map(function(module) {
+              // Accept `angular.module()` objects as well as module names
+              return isObject(module) && isArray(module.requires) ? module.name : module;
+            }));
+          }).
+          catch(function(error) {
+            definition.$$modulesLoaded = null;
+            return $q.reject(error);
+          });
+      }
+      return definition.$$modulesLoaded;
+    }
+
+    function resolveLocals(route, parentLocals, injectLocals) {
+      // The template of the parent view and its scope are not inherited
+      var inheritedLocals = angular.extend({}, parentLocals);
+      delete inheritedLocals.$template;
+      delete inheritedLocals.$scope;
+
+      var invokeLocals = angular.extend({}, inheritedLocals, injectLocals);
+      var locals = angular.extend({}, route.resolve);
+      angular.forEach(locals, function(value, key) {
+        locals[key] = angular.isString(value) ?
+            $injector.get(value) :
+            $injector.invoke(value, null, invokeLocals, key);
+      });
+      var template = getTemplateFor(route);
+      if (angular.isDefined(template)) {
+        locals['$template'] = template;
+      }
+      return $q.all(locals).then(function(resolvedLocals) {
+        return angular.extend(inheritedLocals, resolvedLocals);
+      });
+    }
+
+    function updateRouteQuery(route) {
+      queryRoute = route;
+      angular.copy(getRouteQuery(route, $location.search()), $routeQuery);
+    }
+
+    /**
+     * @returns {Object} the values of the search params, decoded according to the `query` of the
+     *     route, with the defaults of the missing ones
+     */
+    function getRouteQuery(route, search) {
+      var query = angular.extend({}, search);
+      angular.forEach(route && route.query, function(param, name) {
+        var values = isDefined(query[name]) ? [].concat(query[name]) : [];
+        values = values.map(function(value) {
+          if (!param.type) return value;
+          // Invalid values are replaced by the default
+          return angular.isString(value) && param.regexp.test(value) ?
+              param.type.decode(value) :
+              undefined;
+        }).filter(isDefined);
+
+        if (!values.length) {
+          values = angular.copy(param.default);
+        } else if (!param.array) {
+          values = values[0];
+        }
+        if (isDefined(values)) {
+          query[name] = values;
+        } else {
+          delete query[name];
+        }
+      });
+      return query;
+    }
+
+    /**
+     * @returns {Object} the search params for the values of `query`, leaving out the default ones
+     */
+    function getSearch(route, query) {
+      var search = {};
+      angular.forEach(query, function(value, name) {
+        var param = route && route.query && route.query[name];
+        if (!param) {
+          search[name] = value;
+        } else if (value != null && !angular.equals(value, param.default)) {
+          var values = (isArray(value) ? value : [value]).map(function(value) {
+            return param.type ? param.type.encode(value) : value;
+          });
+          search[name] = param.array ? values : values[0];
+        }
+      });
+      return search;
+    }
+
+    /**
+     * @returns {Object} what the `title`, `meta` and `label` of routes are evaluated against
+     */
+    function getRouteContext(route) {
+      return route && angular.extend({$routeParams: route.params}, route.locals);
+    }
+
+    /**
+     * Fills `$routeBreadcrumbs` with the routes whose path is a prefix of the path of `route`
+     * (and `route` itself), if they have a `label`.
+     */
+    function updateBreadcrumbs(route) {
+      var breadcrumbs = [];
+      var definition = route && route.$$route;
+      var path = definition && definition.originalPath;
+
+      if (path) {
+        var context = getRouteContext(route);
+        var segments = path.replace(/\/+$/, '').split('/');
+        for (var i = 1; i <= segments.length; i++) {
+          var prefix = segments.slice(0, i).join('/') || '/';
+          var ancestor = routes[prefix];
+          if (ancestor && ancestor.originalPath !== prefix) {
+            // The redirection for the trailing slash
+            ancestor = routes[ancestor.originalPath];
+          }
+          if (!ancestor || !ancestor.label || (breadcrumbs.length &&
+              breadcrumbs[breadcrumbs.length - 1].route === ancestor)) {
+            continue;
+          }
+
+          var url = interpolate(ancestor.originalPath, angular.extend({}, route.pathParams),
+              ancestor.paramTypes, true);
+          breadcrumbs.push({
+            label: $parse(ancestor.label)(context),
+            url: url,
+            href: getLinkPrefix() + url,
+            route: ancestor,
+            active: ancestor === definition
+          });
+        }
+      }
+
+      breadcrumbs.unshift(0, $routeBreadcrumbs.length);
+      $routeBreadcrumbs.splice.apply($routeBreadcrumbs, breadcrumbs);
+    }
+
+    /**
+     * Applies the `title` and `meta` of the route (and of its parent routes) to the document,
+     * restoring the ones that the previous route changed.
+     */
+    function updateDocumentHead(route) {
+      var title, meta = {};
+      var context = getRouteContext(route);
+      angular.forEach(route && route.levels, function(level) {
+        if (isDefined(level.$$route.title)) title = level.$$route.title;
+        angular.extend(meta, level.$$route.meta);
+      });
+
+      $document[0].title = isDefined(title) ? $interpolate(title)(context) : originalTitle;
+
+      angular.forEach(originalMeta, function(original, name) {
+        if (meta.hasOwnProperty(name)) return;
+        if (original.content === null) {
+          original.element.parentNode.removeChild(original.element);
+        } else {
+          original.element.setAttribute('content', original.content);
         }
-        return $q.all(locals);
+        delete originalMeta[name];
+      });
+      angular.forEach(meta, function(content, name) {
+        var original = originalMeta[name] || (originalMeta[name] = getMetaElement(name));
+        original.element.setAttribute('content', $interpolate(content)(context));
+      });
+    }
+
+    function getMetaElement(name) {
+      var head = $document[0].head;
+      var element = head.querySelector('meta[name="' + name + '"], meta[property="' + name + '"]');
+      if (element) {
+        return {element: element, content: element.getAttribute('content')};
       }
+
+      // Open Graph tags (e.g. `og:title`) use `property` instead of `name`
+      element = $document[0].createElement('meta');
+      element.setAttribute(name.indexOf(':') === -1 ? 'name' : 'property', name);
+      head.appendChild(element);
+      return {element: element, content: null};
     }
 
-    function getTemplateFor(route) {
+    function getNamedRoute(name) {
+      var route = namedRoutes[name];
+      if (!route) {
+        throw $routeMinErr('noname', 'No route named \'{0}\'', name);
+      }
+      return route;
+    }
+
+    /**
+     * @returns {string|undefined} the name of the first required path parameter of `route` that
+     *     has no value in `params`
+     */
+    function findMissingParam(route, params) {
+      var missing;
+      angular.forEach(route.keys, function(key) {
+        var value = params && params[key.name];
+        if (!missing && !key.optional && (value == null || value === '')) missing = key.name;
+      });
+      return missing;
+    }
+
+    /**
+     * @returns {string} what comes before the URL of a route in the `href` of a link to it
+     */
+    function getLinkPrefix() {
+      if ($locationProvider.html5Mode().enabled && $sniffer.history) {
+        return ($browser.baseHref() || '/').replace(/\/$/, '');
+      }
+      return '#' + $locationProvider.hashPrefix();
+    }
+
+    function decodePath(path) {
+      try {
+        return decodeURIComponent(path);
+      } catch (e) {
+        return path;
+      }
+    }
+
+    function parseSearch(query) {
+      var search = {};
+      angular.forEach((query || '').split('&'), function(keyValue) {
+        if (!keyValue) return;
+        var index = keyValue.indexOf('=');
+        var key = decodePath((index === -1 ? keyValue : keyValue.slice(0, index)).
+            replace(/\+/g, '%20'));
+        var value = index === -1 ? true : decodePath(keyValue.slice(index + 1).
+            replace(/\+/g, '%20'));
+        if (!search.hasOwnProperty(key)) {
+          search[key] = value;
+        } else if (isArray(search[key])) {
+          search[key].push(value);
+        } else {
+          search[key] = [search[key], value];
+        }
+      });
+      return search;
+    }
+
+    function getPrefetchedRoute(route) {
+      for (var i = 0; i < prefetchedRoutes.length; i++) {
+        var entry = prefetchedRoutes[i];
+        if (entry.route.$$route === route.$$route && angular.equals(entry.route.params,
+            route.params) && entry.expires > Date.now()) {
+          return entry;
+        }
+      }
+    }
+
+    /**
+     * Uses the prefetched levels of `route`, except for the levels and named views that are kept
+     * from the previous route.
+     */
+    function usePrefetchedLevels(entry, route, lastRoute, isReload) {
+      prefetchedRoutes.splice(prefetchedRoutes.indexOf(entry), 1);
+      return entry.levels.then(function(levels) {
+        var lastLevels = (!isReload && lastRoute && lastRoute.levels) || [];
+        var keptLevels = countKeptLevels(route, lastRoute, isReload);
+        route.loadedTemplateUrl = entry.route.loadedTemplateUrl;
+
+        return levels.map(function(level, depth) {
+          var lastLevel = lastLevels[depth];
+          if (depth < keptLevels) return lastLevel;
+
+          angular.forEach(level.views, function(view, name) {
+            var lastView = name && lastLevel && lastLevel.views[name];
+            if (lastView && lastView.definition === view.definition &&
+                angular.equals(lastLevel.pathParams, level.pathParams)) {
+              level.views[name] = lastView;
+            }
+          });
+          return level;
+        });
+      }, function() {
+        return resolveLevels(route, lastRoute, isReload);
+      });
+    }
+
+    function getTemplateFor(route, ignoreRequestError) {
       var template, templateUrl;
       if (angular.isDefined(template = route.template)) {
         if (angular.isFunction(template)) {
@@ -862,22 +1862,27 @@ function $RouteProvider() {
         }
         if (angular.isDefined(templateUrl)) {
           route.loadedTemplateUrl = $sce.valueOf(templateUrl);
-          template = $templateRequest(templateUrl);
+          template = $templateRequest(templateUrl, ignoreRequestError);
         }
       }
       return template;
     }
 
     /**
-     * @returns {Object} the current active route, by matching it against the URL
+     * @returns {Object} the route matching `path` and `search` (the current URL by default)
      */
-    function parseRoute() {
+    function parseRoute(path, search) {
+      if (!isDefined(path)) {
+        path = $location.path();
+        search = $location.search();
+      }
+
       // Match a route
       var params, match;
-      angular.forEach(routes, function(route, path) {
-        if (!match && (params = switchRouteMatcher($location.path(), route))) {
+      angular.forEach(routes, function(route) {
+        if (!match && (params = switchRouteMatcher(path, route))) {
           match = inherit(route, {
-            params: angular.extend({}, $location.search(), params),
+            params: angular.extend({}, search, params),
             pathParams: params});
           match.$$route = route;
         }
@@ -901,27 +1906,56 @@ function $RouteProvider() {
           && (newRoute.$$route === oldRoute.$$route)
           // AND `reloadOnUrl` is disabled
           && (!newRoute.reloadOnUrl
-              // OR `reloadOnSearch` is disabled
-              || (!newRoute.reloadOnSearch
+              // OR `reloadOnSearch` is disabled OR only the declared `query` params changed
+              || ((!newRoute.reloadOnSearch || isQueryUpdate(newRoute, oldRoute))
                   // AND both routes have the same path params
                   && angular.equals(newRoute.pathParams, oldRoute.pathParams)
               )
           );
     }
 
+    function isQueryUpdate(newRoute, oldRoute) {
+      var query = newRoute.query;
+      var changedKeys = Object.keys(angular.extend({}, oldRoute.params, newRoute.params)).
+        filter(function(key) {
+          return !angular.equals(newRoute.params[key], oldRoute.params[key]);
+        });
+
+      return !!query && changedKeys.length > 0 && changedKeys.every(function(key) {
+        return query.hasOwnProperty(key);
+      });
+    }
+
     /**
      * @returns {string} interpolation of the redirect path with the parameters
      */
-    function interpolate(string, params) {
+    function interpolate(string, params, types, encode) {
       var result = [];
       angular.forEach((string || '').split(':'), function(segment, i) {
         if (i === 0) {
           result.push(segment);
         } else {
-          var segmentMatch = segment.match(/(\w+)(?:[?*])?(.*)/);
+          var segmentMatch = segment.match(/(\w+)(\*\?|[?*])?(.*)/);
           var key = segmentMatch[1];
-          result.push(params[key]);
-          result.push(segmentMatch[2] || '');
+          var option = segmentMatch[2] || '';
+          var value = params[key];
+          if (types && types[key] && value != null) {
+            value = types[key].encode(value);
+          }
+          if (value == null || value === '') {
+            // Leave out the slash in front of an omitted optional parameter
+            if (option.indexOf('?') !== -1 && /\/$/.test(result[result.length - 1])) {
+              result[result.length - 1] = result[result.length - 1].slice(0, -1);
+            }
+          } else if (encode) {
+            // Wildcard parameters may span several path segments
+            result.push(option.charAt(0) === '*' ?
+                String(value).split('/').map(encodeURIComponent).join('/') :
+                encodeURIComponent(value));
+          } else {
+            result.push(value);
+          }
+          result.push(segmentMatch[3] || '');
           delete params[key];
         }
       });
@@ -979,8 +2013,265 @@ function $RouteParamsProvider() {
   this.$get = function() { return {}; };
 }
 
+ngRouteModule.provider('$routeQuery', $RouteQueryProvider);
+
+
+/**
+ * @ngdoc service
+ * @name $routeQuery
+ * @requires $route
+ * @this
+ *
+ * @description
+ * The `$routeQuery` service holds the search params of the current URL, decoded according to the
+ * `query` of the current route (see {@link ngRoute.$routeProvider#when $routeProvider.when()}),
+ * with the defaults of the declared params that are missing from the URL.
+ *
+ * Requires the {@link ngRoute `ngRoute`} module to be installed.
+ *
+ * Unlike `$routeParams`, `$routeQuery` is bound both ways: changing its properties updates
+ * {@link ng.$location#search $location.search()} (leaving out the params with their default
+ * value), so form controls can be bound to it directly. Changes of declared params do not reload
+ * the route; a {@link ngRoute.$route#$routeUpdate $routeUpdate} event is broadcast instead.
+ *
+ * Like `$routeParams`, the identity of the `$routeQuery` object remains unchanged.
+ *
+ * @example
+ * ```js
+ *  // Given:
+ *  // URL: http://server.com/index.html#/projects?page=2&tag=a&tag=b
+ *  // Route: {query: {page: {type: 'int', default: 1}, tag: {default: []},
+ *  //                 sort: {type: ['name', 'date'], default: 'name'}}}
+ *  //
+ *  // Then
+ *  $routeQuery ==> {page: 2, tag: ['a', 'b'], sort: 'name'}
+ * ```
+ *
+ * ```html
+ * <select ng-model="$ctrl.query.sort" ng-options="sort for sort in ['name', 'date']"></select>
+ * ```
+ */
+function $RouteQueryProvider() {
+  this.$get = function() { return {}; };
+}
+
+ngRouteModule.provider('$routeBreadcrumbs', $RouteBreadcrumbsProvider);
+
+
+/**
+ * @ngdoc service
+ * @name $routeBreadcrumbs
+ * @requires $route
+ * @this
+ *
+ * @description
+ * The `$routeBreadcrumbs` service is the breadcrumb trail of the current route: an array with the
+ * routes whose path is a prefix of the path of the current route, followed by the current route
+ * itself, leaving out routes without a `label` (see
+ * {@link ngRoute.$routeProvider#when $routeProvider.when()}).
+ *
+ * Requires the {@link ngRoute `ngRoute`} module to be installed.
+ *
+ * Each breadcrumb has the following properties:
+ *
+ * - `label` - `{*}` - the `label` of the route, evaluated against the resolved `resolve`
+ *   dependencies of the current route and `$routeParams`.
+ * - `url` - `{string}` - the URL of the route (as accepted by `$location.url()`), with the path
+ *   parameters of the current route.
+ * - `href` - `{string}` - the URL for the `href` of a link to the route.
+ * - `route` - `{Object}` - the route definition.
+ * - `active` - `{boolean}` - whether it is the current route.
+ *
+ * The array is updated after each route change (its identity remains unchanged). See also the
+ * {@link ngRoute.directive:ngRouteBreadcrumbs ngRouteBreadcrumbs} directive.
+ *
+ * @example
+ * ```js
+ *  // Given:
+ *  // Routes: /projects                    {label: "'Projects'"}
+ *  //         /projects/:projectId         {label: 'project.name', resolve: {project: ...}}
+ *  //         /projects/:projectId/members {label: "'Members'"}
+ *  // URL: http://server.com/index.html#!/projects/42/members
+ *  //
+ *  // Then
+ *  $routeBreadcrumbs ==> [
+ *    {label: 'Projects', url: '/projects', href: '#!/projects', active: false, ...},
+ *    {label: 'Demo', url: '/projects/42', href: '#!/projects/42', active: false, ...},
+ *    {label: 'Members', url: '/projects/42/members', href: '#!/projects/42/members',
+ *     active: true, ...}
+ *  ]
+ * ```
+ */
+function $RouteBreadcrumbsProvider() {
+  this.$get = function() { return []; };
+}
+
+ngRouteModule.factory('$$routeHistory', $$routeHistoryFactory);
+
+// Tells whether the current location change comes from the history of the browser (e.g. the back
+// button), rather than from `$location` or a link.
+$$routeHistoryFactory.$inject = ['$rootScope', '$browser'];
+function $$routeHistoryFactory($rootScope, $browser) {
+  var routeHistory = {fromHistory: false};
+
+  $rootScope.$on('$locationChangeStart', function(event, newUrl, oldUrl) {
+    // Changes made through `$location` only reach the browser after this event, so a URL that is
+    // already in the browser comes from its history
+    routeHistory.fromHistory = newUrl !== oldUrl && $browser.url() === newUrl;
+  });
+
+  return routeHistory;
+}
+
+ngRouteModule.factory('$$routeScroll', $$routeScrollFactory);
+
+// Remembers the scroll positions of the window and of the `ngRouteScrollContainer` elements for
+// each history entry, so that `ngView` can restore them when the user goes back or forward in the
+// history. Entries are told apart by a key stored in their `history.state`, since the same URL
+// can appear in several of them.
+$$routeScrollFactory.$inject = ['$rootScope', '$$routeHistory', '$window', '$route', '$browser',
+    '$location', '$sniffer'];
+function $$routeScrollFactory($rootScope, $$routeHistory, $window, $route, $browser, $location,
+    $sniffer) {
+  var positions = {};
+  var containers = {};
+  var historyPosition = null;
+  var pendingRestore = null;
+  // The keys are kept across reloads in `history.state`, but the positions are not
+  var keyPrefix = Date.now().toString(36) + '.';
+  var lastKey = 0;
+  var currentKey = null;
+
+  $rootScope.$on('$locationChangeStart', function(event, newUrl, oldUrl, newState) {
+    if (currentKey && newUrl !== oldUrl) {
+      positions[currentKey] = readPositions();
+      // Keep the browser from scrolling on its own when coming back to the entry we are leaving
+      setScrollRestoration('manual');
+    }
+    historyPosition = $$routeHistory.fromHistory ? positions[getKey(newState)] : null;
+  });
+
+  $rootScope.$on('$locationChangeSuccess', function() {
+    pendingRestore = historyPosition && {route: $route.current, position: historyPosition};
+    historyPosition = null;
+    currentKey = getKey($browser.state()) || addKey();
+    if (!pendingRestore) setScrollRestoration('auto');
+  });
+
+  function getKey(state) {
+    return angular.isObject(state) ? state.$$routeScrollKey : null;
+  }
+
+  function addKey() {
+    var state = $browser.state();
+    if (!$sniffer.history || (state !== null && !angular.isObject(state))) return null;
+
+    var key = keyPrefix + (++lastKey);
+    $browser.url($browser.url(), true, angular.extend({}, state, {$$routeScrollKey: key}));
+    // Otherwise `$location` would push its own state again on the next change
+    $location.$$state = $browser.state();
+    return key;
+  }
+
+  function setScrollRestoration(mode) {
+    if ($window.history && 'scrollRestoration' in $window.history) {
+      $window.history.scrollRestoration = mode;
+    }
+  }
+
+  function readPositions() {
+    var position = {x: $window.pageXOffset, y: $window.pageYOffset, containers: {}};
+    angular.forEach(containers, function(element, key) {
+      position.containers[key] = {x: element.scrollLeft, y: element.scrollTop};
+    });
+    return position;
+  }
+
+  return {
+    register: function(key, element) {
+      containers[key] = element;
+      return function() {
+        if (containers[key] === element) delete containers[key];
+      };
+    },
+
+    /**
+     * Restores the scroll positions, if `route` was navigated to from the history.
+     *
+     * @returns {boolean} whether the scroll positions were restored
+     */
+    restore: function(route) {
+      if (!pendingRestore || pendingRestore.route !== route) {
+        return false;
+      }
+
+      // Let the browser restore the scroll positions of this entry again, e.g. after a reload
+      setScrollRestoration('auto');
+      if (route.restoreScroll === false) {
+        return false;
+      }
+
+      var position = pendingRestore.position;
+      $window.scrollTo(position.x, position.y);
+      angular.forEach(position.containers, function(offset, key) {
+        var element = containers[key];
+        if (element) {
+          element.scrollLeft = offset.x;
+          element.scrollTop = offset.y;
+        }
+      });
+      return true;
+    }
+  };
+}
+
+ngRouteModule.factory('$$routeDirection', $$routeDirectionFactory);
+
+// Tells whether a route change goes `forward` or `back`: for back/forward navigation in the
+// history, by the position of the new URL among the URLs visited before; otherwise by whether the
+// path of the new route has fewer segments than the one of the previous route.
+$$routeDirectionFactory.$inject = ['$rootScope', '$browser', '$$routeHistory'];
+function $$routeDirectionFactory($rootScope, $browser, $$routeHistory) {
+  var visitedUrls = [$browser.url()];
+  var index = 0;
+  var historyDirection = null;
+  var routeDirection = {direction: 'forward'};
+
+  $rootScope.$on('$locationChangeSuccess', function(event, newUrl, oldUrl) {
+    var fromHistory = $$routeHistory.fromHistory;
+    if (fromHistory && visitedUrls[index - 1] === newUrl) {
+      index--;
+      historyDirection = 'back';
+    } else if (fromHistory && visitedUrls[index + 1] === newUrl) {
+      index++;
+      historyDirection = 'forward';
+    } else if (newUrl !== oldUrl) {
+      visitedUrls.splice(index + 1, visitedUrls.length, newUrl);
+      index++;
+      historyDirection = null;
+    }
+  });
+
+  $rootScope.$on('$routeChangeSuccess', function(event, current, previous) {
+    routeDirection.direction = historyDirection ||
+        (getDepth(current) < getDepth(previous) ? 'back' : 'forward');
+    historyDirection = null;
+  });
+
+  function getDepth(route) {
+    var path = route && route.$$route && route.$$route.originalPath;
+    return path ? path.split('/').filter(Boolean).length : 0;
+  }
+
+  return routeDirection;
+}
+
 ngRouteModule.directive('ngView', ngViewFactory);
 ngRouteModule.directive('ngView', ngViewFillContentFactory);
+ngRouteModule.directive('ngRouteHref', ngRouteHrefFactory);
+ngRouteModule.directive('ngRouteScrollContainer', ngRouteScrollContainerFactory);
+ngRouteModule.directive('ngRoutePrefetch', ngRoutePrefetchFactory);
+ngRouteModule.directive('ngRouteBreadcrumbs', ngRouteBreadcrumbsFactory);
 
 
 /**
@@ -996,6 +2287,16 @@ ngRouteModule.directive('ngView', ngViewFillContentFactory);
  *
  * Requires the {@link ngRoute `ngRoute`} module to be installed.
  *
+ * An `ngView` inside the template of another `ngView` renders the child route of the route
+ * rendered by the outer one (see `children` in {@link ngRoute.$routeProvider#when
+ * $routeProvider.when()}). An outer view that is kept across a route change is not re-rendered.
+ *
+ * When the user goes back or forward in the browser history, the scroll positions of the window
+ * and of the elements marked with {@link ngRoute.directive:ngRouteScrollContainer
+ * ngRouteScrollContainer} are restored once the content of the view has been linked (instead of
+ * `autoscroll`), unless the route has `restoreScroll: false` (see
+ * {@link ngRoute.$routeProvider#when $routeProvider.when()}).
+ *
  * @animations
  * | Animation                        | Occurs                              |
  * |----------------------------------|-------------------------------------|
@@ -1004,8 +2305,22 @@ ngRouteModule.directive('ngView', ngViewFillContentFactory);
  *
  * The enter and leave animation occur concurrently.
  *
+ * To tell which way the user is going, both elements get the `ng-view-forward` or the
+ * `ng-view-back` class, as well as the `transition` of the new route (see
+ * {@link ngRoute.$routeProvider#when $routeProvider.when()}). The direction is `back` when going
+ * back in the browser history, or when the path of the new route has fewer segments than the one
+ * of the previous route (e.g. from `/projects/:id` to `/projects`), and `forward` otherwise.
+ *
+ * ```css
+ * .slide.ng-view-forward.ng-enter { transform: translateX(100%); }
+ * .slide.ng-view-back.ng-enter { transform: translateX(-100%); }
+ * ```
+ *
  * @scope
  * @priority 400
+ * @param {string=} ngView The name of the view to render, for routes with named `views` (see
+ *                  {@link ngRoute.$routeProvider#when $routeProvider.when()}). If empty, the
+ *                  template of the route itself is rendered.
  * @param {string=} onload Expression to evaluate whenever the view updates.
  *
  * @param {string=} autoscroll Whether `ngView` should call {@link ng.$anchorScroll
@@ -1156,8 +2471,9 @@ ngRouteModule.directive('ngView', ngViewFillContentFactory);
  * @description
  * Emitted every time the ngView content is reloaded.
  */
-ngViewFactory.$inject = ['$route', '$anchorScroll', '$animate'];
-function ngViewFactory($route, $anchorScroll, $animate) {
+ngViewFactory.$inject = ['$route', '$anchorScroll', '$animate', '$$routeScroll',
+    '$$routeDirection'];
+function ngViewFactory($route, $anchorScroll, $animate, $$routeScroll, $$routeDirection) {
   return {
     restrict: 'ECA',
     terminal: true,
@@ -1166,14 +2482,19 @@ function ngViewFactory($route, $anchorScroll, $animate) {
     link: function(scope, $element, attr, ctrl, $transclude) {
         var currentScope,
             currentElement,
+            currentClasses,
+            currentView,
             previousLeaveAnimation,
             autoScrollExp = attr.autoscroll,
-            onloadExp = attr.onload || '';
+            onloadExp = attr.onload || '',
+            name = attr.ngView || '',
+            parentLevel = $element.inheritedData('$ngViewLevel'),
+            depth = parentLevel ? parentLevel.depth + 1 : 0;
 
         scope.$on('$routeChangeSuccess', update);
         update();
 
-        function cleanupLastView() {
+        function cleanupLastView(transitionClasses) {
           if (previousLeaveAnimation) {
             $animate.cancel(previousLeaveAnimation);
             previousLeaveAnimation = null;
@@ -1184,6 +2505,7 @@ function ngViewFactory($route, $anchorScroll, $animate) {
             currentScope = null;
           }
           if (currentElement) {
+            currentElement.removeClass(currentClasses).addClass(transitionClasses);
             previousLeaveAnimation = $animate.leave(currentElement);
             previousLeaveAnimation.done(function(response) {
               if (response !== false) previousLeaveAnimation = null;
@@ -1193,12 +2515,22 @@ function ngViewFactory($route, $anchorScroll, $animate) {
         }
 
         function update() {
-          var locals = $route.current && $route.current.locals,
-              template = locals && locals.$template;
+          var current = $route.current,
+              levels = current && current.levels,
+              level = levels && levels[depth],
+              view = level && level.views[name],
+              template = view && view.locals.$template;
+
+          // A view that was kept from the previous route stays as it is
+          if (view === currentView) return;
+          currentView = view;
+
+          // Let animations know which way the user is going
+          var transitionClasses = 'ng-view-' + $$routeDirection.direction +
+              (current && current.transition ? ' ' + current.transition : '');
 
           if (angular.isDefined(template)) {
             var newScope = scope.$new();
-            var current = $route.current;
 
             // Note: This will also link all children of ng-view that were contained in the original
             // html. If that content contains controllers, ... they could pollute/change the scope.
@@ -1207,21 +2539,29 @@ function ngViewFactory($route, $anchorScroll, $animate) {
             // function is called before linking the content, which would apply child
             // directives to non existing elements.
             var clone = $transclude(newScope, function(clone) {
+              clone.data('$ngViewLevel', level);
+              clone.data('$ngView', view);
+              clone.addClass(transitionClasses);
               $animate.enter(clone, null, currentElement || $element).done(function onNgViewEnter(response) {
-                if (response !== false && angular.isDefined(autoScrollExp)
+                if (response !== false && !$$routeScroll.restore(current)
+                  && angular.isDefined(autoScrollExp)
                   && (!autoScrollExp || scope.$eval(autoScrollExp))) {
                   $anchorScroll();
                 }
               });
-              cleanupLastView();
+              cleanupLastView(transitionClasses);
             });
 
             currentElement = clone;
-            currentScope = current.scope = newScope;
+            currentClasses = transitionClasses;
+            currentScope = view.scope = newScope;
+            if (level === levels[levels.length - 1] && !name) {
+              current.scope = newScope;
+            }
             currentScope.$emit('$viewContentLoaded');
             currentScope.$eval(onloadExp);
           } else {
-            cleanupLastView();
+            cleanupLastView(transitionClasses);
           }
         }
     }
@@ -1233,14 +2573,15 @@ function ngViewFactory($route, $anchorScroll, $animate) {
 // We need this directive so that the element content is already filled when
 // the link function of another directive on the same element as ngView
 // is called.
-ngViewFillContentFactory.$inject = ['$compile', '$controller', '$route'];
-function ngViewFillContentFactory($compile, $controller, $route) {
+ngViewFillContentFactory.$inject = ['$compile', '$controller'];
+function ngViewFillContentFactory($compile, $controller) {
   return {
     restrict: 'ECA',
     priority: -400,
     link: function(scope, $element) {
-      var current = $route.current,
-          locals = current.locals;
+      var view = $element.data('$ngView'),
+          current = view.definition,
+          locals = view.locals;
 
       $element.html(locals.$template);
 
@@ -1254,6 +2595,7 @@ function ngViewFillContentFactory($compile, $controller, $route) {
         }
         $element.data('$ngControllerController', controller);
         $element.children().data('$ngControllerController', controller);
+        view.controller = controller;
       }
       scope[current.resolveAs || '$resolve'] = locals;
 
@@ -1263,4 +2605,186 @@ function ngViewFillContentFactory($compile, $controller, $route) {
 }
 
 
+/**
+ * @ngdoc directive
+ * @name ngRouteHref
+ * @restrict A
+ *
+ * @description
+ * Sets the `href` of a link to the URL of a named route (see the `name` property in
+ * {@link ngRoute.$routeProvider#when $routeProvider.when()}), built by
+ * {@link ngRoute.$route#href $route.href()}. The link is updated whenever the route name or the
+ * parameters change, so templates don't need to hard-code URLs. While a required path parameter
+ * has no value (e.g. because the data it comes from is still loading), the link has no `href`.
+ *
+ * @param {string} ngRouteHref The name of the route. Can be interpolated.
+ * @param {expression=} ngRouteParams Expression evaluating to the route parameters. Properties
+ *    that are not path parameters of the route are appended as query params.
+ *
+ * @example
+ * ```html
+ * <a ng-route-href="projectEdit" ng-route-params="{projectId: project.id, tab: 'members'}">
+ *   Edit
+ * </a>
+ * ```
+ */
+ngRouteHrefFactory.$inject = ['$route'];
+function ngRouteHrefFactory($route) {
+  return {
+    restrict: 'A',
+    link: function(scope, $element, attr) {
+      scope.$watch(function() {
+        return [attr.ngRouteHref, scope.$eval(attr.ngRouteParams)];
+      }, function(values) {
+        // Leave the link without `href` until all required params are known (e.g. loaded)
+        var complete = values[0] && !$route.$$missingParam(values[0], values[1]);
+        attr.$set('href', complete ? $route.href(values[0], values[1]) : null);
+      }, true);
+    }
+  };
+}
+
+
+/**
+ * @ngdoc directive
+ * @name ngRouteScrollContainer
+ * @restrict A
+ *
+ * @description
+ * Marks a scrollable element (other than the window) whose scroll position should be restored,
+ * like the one of the window, when the user goes back or forward in the browser history (see
+ * {@link ngRoute.directive:ngView ngView}). The element can also be part of the template of a
+ * view.
+ *
+ * @param {string} ngRouteScrollContainer A name for the element, unique within the page, under
+ *    which its scroll position is remembered.
+ *
+ * @example
+ * ```html
+ * <div class="sidebar" ng-route-scroll-container="sidebar">...</div>
+ * ```
+ */
+ngRouteScrollContainerFactory.$inject = ['$$routeScroll'];
+function ngRouteScrollContainerFactory($$routeScroll) {
+  return {
+    restrict: 'A',
+    link: function(scope, $element, attr) {
+      scope.$on('$destroy', $$routeScroll.register(attr.ngRouteScrollContainer, $element[0]));
+    }
+  };
+}
+
+
+/**
+ * @ngdoc directive
+ * @name ngRoutePrefetch
+ * @restrict A
+ *
+ * @description
+ * Prefetches the route that a link points to (see {@link ngRoute.$route#prefetch
+ * $route.prefetch()}), once the user shows interest in the link, so that the route renders
+ * faster when the link is followed.
+ *
+ * @param {string=} ngRoutePrefetch When to prefetch the route:
+ *
+ *    - `hover` (default): when the pointer enters the link, or the link gets the focus.
+ *    - `visible`: when the link is scrolled into view. Falls back to `hover` in browsers without
+ *      `IntersectionObserver`.
+ * @param {expression=} ngRoutePrefetchResolve Whether to resolve the `resolve` dependencies of the
+ *    route too (enabled if the attribute is set without value).
+ * @param {number=} ngRoutePrefetchTtl How long the resolved dependencies can be used, in
+ *    milliseconds.
+ *
+ * @example
+ * ```html
+ * <a ng-route-href="project" ng-route-params="{projectId: project.id}"
+ *    ng-route-prefetch="visible" ng-route-prefetch-resolve>{{project.name}}</a>
+ * ```
+ */
+ngRoutePrefetchFactory.$inject = ['$route', '$window'];
+function ngRoutePrefetchFactory($route, $window) {
+  return {
+    restrict: 'A',
+    link: function(scope, $element, attr) {
+      var resolveExp = attr.ngRoutePrefetchResolve;
+
+      function prefetch() {
+        if (!attr.href) return;
+        var callback = function() {
+          $route.prefetch(attr.href, {
+            resolve: angular.isDefined(resolveExp) && (!resolveExp || !!scope.$eval(resolveExp)),
+            ttl: attr.ngRoutePrefetchTtl ? parseInt(attr.ngRoutePrefetchTtl, 10) : undefined
+          });
+        };
+        // `focus` can be triggered during a digest
+        if (scope.$root.$$phase) {
+          scope.$evalAsync(callback);
+        } else {
+          scope.$apply(callback);
+        }
+      }
+
+      if (attr.ngRoutePrefetch === 'visible' && $window.IntersectionObserver) {
+        var observer = new $window.IntersectionObserver(function(entries) {
+          if (entries.some(function(entry) { return entry.isIntersecting; })) {
+            observer.disconnect();
+            prefetch();
+          }
+        });
+        observer.observe($element[0]);
+        scope.$on('$destroy', function() {
+          observer.disconnect();
+        });
+      } else {
+        $element.on('mouseenter focus', prefetch);
+      }
+    }
+  };
+}
+
+
+/**
+ * @ngdoc directive
+ * @name ngRouteBreadcrumbs
+ * @restrict EA
+ *
+ * @description
+ * Renders the breadcrumb trail of the current route (see
+ * {@link ngRoute.$routeBreadcrumbs $routeBreadcrumbs}) as an ordered list, with links to all but
+ * the current route:
+ *
+ * ```html
+ * <ol class="breadcrumb">
+ *   <li><a href="#!/projects">Projects</a></li>
+ *   <li><a href="#!/projects/42">Demo</a></li>
+ *   <li class="active">Members</li>
+ * </ol>
+ * ```
+ *
+ * For a different markup, iterate over `$routeBreadcrumbs` instead.
+ *
+ * @example
+ * ```html
+ * <ng-route-breadcrumbs></ng-route-breadcrumbs>
+ * ```
+ */
+ngRouteBreadcrumbsFactory.$inject = ['$routeBreadcrumbs'];
+function ngRouteBreadcrumbsFactory($routeBreadcrumbs) {
+  return {
+    restrict: 'EA',
+    scope: {},
+    template:
+      '<ol class="breadcrumb">' +
+        '<li ng-repeat="breadcrumb in breadcrumbs" ng-class="{active: breadcrumb.active}">' +
+          '<a ng-if="!breadcrumb.active" ng-href="{{breadcrumb.href}}">{{breadcrumb.label}}</a>' +
+          '<span ng-if="breadcrumb.active">{{breadcrumb.label}}</span>' +
+        '</li>' +
+      '</ol>',
+    link: function(scope) {
+      scope.breadcrumbs = $routeBreadcrumbs;
+    }
+  };
+}
+
+
 })(window, window.angular);
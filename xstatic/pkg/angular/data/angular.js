@@ -12267,6 +12267,9 @@ function $HttpProvider() {
    * callback in a JSONP request. The value of this parameter will be replaced with the expression generated by the
    * {@link $jsonpCallbacks} service. Defaults to `'callback'`.
    *
+   * - **`defaults.retry`** - `{boolean|number|Object}` - Retry failed requests by default.
+   * See {@link $http#retrying-requests $http Retrying Requests} for more information.
+   *
    * - **`defaults.paramSerializer`** - `{string|function(Object<string,string>):string}` - A function
    *  used to the prepare string representation of request parameters (specified as an object).
    *  If specified as string, it is interpreted as a function registered with the {@link auto.$injector $injector}.
@@ -12352,6 +12355,46 @@ function $HttpProvider() {
     return useApplyAsync;
   };
 
+  var useFetch = false;
+  /**
+   * @ngdoc method
+   * @name $httpProvider#useFetch
+   * @description
+   *
+   * Configure the default {@link ng.$httpBackend $httpBackend} to make requests with the
+   * [Fetch API](https://developer.mozilla.org/docs/Web/API/Fetch_API) instead of `XMLHttpRequest`.
+   * JSONP requests are not affected, and browsers that do not support `fetch` keep using
+   * `XMLHttpRequest`.
+   *
+   * When using `fetch`:
+   *
+   * - `timeout` aborts the request through an `AbortController`. A `signal` passed in
+   *   `fetchOptions` aborts the request as well.
+   * - additional [fetch options](https://developer.mozilla.org/docs/Web/API/RequestInit), such as
+   *   `keepalive`, `credentials`, `mode` or `cache`, can be set with the `fetchOptions` property of
+   *   the request configuration object.
+   * - the `Request` that was sent and the `Response` that was received are available as
+   *   `fetchRequest` and `fetchResponse` of the response object, e.g. in response interceptors.
+   *   Note that the body of the `Response` has already been read.
+   * - `eventHandlers` and `uploadEventHandlers` are not supported.
+   *
+   * Requests that specify `fetchOptions` use `fetch` even if it is not enabled here.
+   *
+   * Defaults to false. If no value is specified, returns the current configured value.
+   *
+   * @param {boolean=} value If true, requests are made with `fetch`.
+   *
+   * @returns {boolean|Object} If a value is specified, returns the $httpProvider for chaining.
+   *    otherwise, returns the current configured value.
+   */
+  this.useFetch = function(value) {
+    if (isDefined(value)) {
+      useFetch = !!value;
+      return this;
+    }
+    return useFetch;
+  };
+
   /**
    * @ngdoc property
    * @name $httpProvider#interceptors
@@ -12689,6 +12732,95 @@ function $HttpProvider() {
      *   * A cache-control header on the response does not affect if or how responses are cached.
      *
      *
+     * ## Streaming Responses
+     *
+     * Setting `responseType` to `'stream'` makes `$http` deliver the body of a successful response
+     * while it is being received, instead of all at once. The chunks are passed to the `notify`
+     * callback of the returned promise (the third argument of `then()`), in a digest, and the
+     * promise is resolved with `data: null` once the whole body has been received. Depending on
+     * `streamFormat`, each notification is:
+     *
+     * - `'text'` (default): the next chunk of the body, as a string.
+     * - `'ndjson'`: the next record of a body in the [NDJSON](http://ndjson.org/) format, i.e. a
+     *   line of the body parsed as JSON.
+     * - `'bytes'`: the next chunk of the body, as a `Uint8Array`.
+     *
+     * ```js
+     * $http.get('/api/events', {responseType: 'stream', streamFormat: 'ndjson'}).
+     *   then(function(response) {
+     *     // The stream has ended
+     *   }, function(response) {
+     *     // The request failed or was aborted through `timeout`
+     *   }, function(event) {
+     *     $scope.events.push(event);
+     *   });
+     * ```
+     *
+     * If a line of an NDJSON body is not valid JSON, the rest of the body is not read and the
+     * promise is rejected with a {@link error/$http/baddata $http:baddata} error.
+     *
+     * Responses with an error status are not streamed: their body is received as a whole and
+     * is available as `data` of the rejected promise. Streamed responses are never cached, and
+     * `timeout` aborts the request even while the body is being received.
+     *
+     * Streaming requires the [Fetch API](https://developer.mozilla.org/docs/Web/API/Fetch_API)
+     * with `ReadableStream` support (and `AbortController` for `timeout`). Otherwise the body is
+     * delivered as a single chunk once it has been received. Note that `eventHandlers` and
+     * `uploadEventHandlers` are not supported for streamed responses.
+     *
+     *
+     * ## Retrying Requests
+     *
+     * Requests that fail because of a network error or a temporary server error can be retried
+     * by setting the `retry` property of the request configuration object (or
+     * {@link ng.$http#defaults `$http.defaults.retry`}). The request is sent to the
+     * {@link ng.$httpBackend $httpBackend} again with the same configuration: interceptors and
+     * transformations are only applied once, and the returned promise is settled with the
+     * response of the last attempt only.
+     *
+     * `retry` can be `true` (use the defaults), the maximum number of attempts, or an object
+     * with the following properties:
+     *
+     * - **attempts** – `{number}` – The maximum number of attempts, including the first one.
+     *   Defaults to `3`.
+     * - **delay** – `{number|function(number, Object):number}` – The delay in milliseconds before
+     *   the first retry, or a function that returns the delay before a retry, given the number of
+     *   the attempt that failed and its response. Defaults to `1000`.
+     * - **backoff** – `{number}` – The factor by which a numerical `delay` is multiplied after each
+     *   retry. Defaults to `2`.
+     * - **jitter** – `{number}` – A factor between 0 and 1 by which each numerical delay is
+     *   randomly increased, so that clients do not retry in lockstep. Defaults to `0`.
+     * - **retryOn** – `{Array<number>|function(Object):boolean}` – The response statuses that
+     *   should be retried, or a function that is given the response of the failed attempt and
+     *   returns whether to retry. By default, network errors, timeouts and the statuses `408`,
+     *   `429`, `500`, `502`, `503` and `504` are retried.
+     * - **retryAfter** – `{boolean}` – Whether to honor the `Retry-After` header of the response
+     *   of a failed attempt. Defaults to `true`.
+     *
+     * When the response of the failed attempt has a `Retry-After` header, the next attempt is
+     * delayed by the time it specifies instead, unless `retryAfter` is `false`. Requests aborted
+     * through a `timeout` promise are never retried, and resolving the promise while waiting for
+     * the next attempt cancels it. A streamed response is not retried once its first chunk has
+     * been delivered.
+     *
+     * Only requests with an idempotent method (`GET`, `HEAD`, `OPTIONS`, `PUT`, `DELETE` and
+     * `JSONP`) and `POST` requests are retried; `retry` is ignored for other methods, such as
+     * `PATCH`. Since `POST` requests are not idempotent, an `Idempotency-Key` header with a value
+     * that is unique to the request (and the same for all of its attempts) is added to `POST`
+     * requests that may be retried, unless they already have one. Servers can use it to detect
+     * that they are processing the same request again.
+     *
+     * The number of attempts that have been made is available as the `attempts` property of the
+     * request configuration object of the response.
+     *
+     * ```js
+     * $http.post('/api/orders', order, {retry: {attempts: 5, retryOn: [503]}}).
+     *   then(function(response) {
+     *     $log.info('Order placed after ' + response.config.attempts + ' attempt(s)');
+     *   });
+     * ```
+     *
+     *
      * ## Interceptors
      *
      * Before you start creating interceptors, be sure to understand the
@@ -12904,6 +13036,16 @@ function $HttpProvider() {
      *      for more information.
      *    - **responseType** - `{string}` - see
      *      [XMLHttpRequest.responseType](https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest#xmlhttprequest-responsetype).
+     *      Can also be `'stream'`, see {@link $http#streaming-responses Streaming Responses}.
+     *    - **streamFormat** - `{string}` - how the chunks of a streamed response are delivered:
+     *      `'text'` (default), `'ndjson'` or `'bytes'`. See
+     *      {@link $http#streaming-responses Streaming Responses}.
+     *    - **fetchOptions** - `{Object}` - additional options for requests made with `fetch`, such
+     *      as `keepalive`, `credentials`, `mode` or `cache`. See
+     *      {@link $httpProvider#useFetch $httpProvider.useFetch()}.
+     *    - **retry** – `{boolean|number|Object}` – whether and how to retry the request if it
+     *      fails.
+     *      See {@link $http#retrying-requests $http Retrying Requests} for more information.
      *
      * @returns {HttpPromise} A {@link ng.$q `Promise}` that will be resolved (request success)
      *   or rejected (request failure) with a response object.
@@ -12919,6 +13061,10 @@ function $HttpProvider() {
      *   - **statusText** – `{string}` – HTTP status text of the response.
      *   - **xhrStatus** – `{string}` – Status of the XMLHttpRequest
      *     (`complete`, `error`, `timeout` or `abort`).
+     *   - **fetchRequest** – `{Request=}` – The `Request` that was sent, if the request was made
+     *     with {@link $httpProvider#useFetch fetch}.
+     *   - **fetchResponse** – `{Response=}` – The `Response` that was received, if any, if the
+     *     request was made with {@link $httpProvider#useFetch fetch}.
      *
      *
      *   A response status code between 200 and 299 is considered a success status
@@ -13160,6 +13306,11 @@ function $HttpProvider() {
       }
 
       function transformResponse(response) {
+        // e.g. a streamed response that could not be parsed
+        if (isError(response)) {
+          return $q.reject(response);
+        }
+
         // make a copy since the response must be cacheable
         var resp = extend({}, response);
         resp.data = transformData(response.data, response.headers, response.status,
@@ -13376,7 +13527,14 @@ function $HttpProvider() {
       $http.pendingRequests.push(config);
       promise.then(removePendingReq, removePendingReq);
 
-      if ((config.cache || defaults.cache) && config.cache !== false &&
+      var isStream = config.responseType === 'stream';
+      var stream = isStream && createStreamReader(config.streamFormat);
+      var applyStreamChunk = stream && createApplyHandlers({chunk: stream.read}).chunk;
+      var retry = getRetryOptions(isDefined(config.retry) ? config.retry : defaults.retry,
+          config.method);
+      var attempts = 0;
+
+      if ((config.cache || defaults.cache) && config.cache !== false && !isStream &&
           (config.method === 'GET' || config.method === 'JSONP')) {
         cache = isObject(config.cache) ? config.cache
             : isObject(/** @type {?} */ (defaults).cache)
@@ -13414,14 +13572,133 @@ function $HttpProvider() {
         if (xsrfValue) {
           reqHeaders[(config.xsrfHeaderName || defaults.xsrfHeaderName)] = xsrfValue;
         }
+        if (retry && retry.attempts > 1 && config.method === 'POST' &&
+            !hasHeader(reqHeaders, 'Idempotency-Key')) {
+          reqHeaders['Idempotency-Key'] = createIdempotencyKey();
+        }
+
+        sendToBackend();
+      }
+
+      return promise;
+
+      function sendToBackend() {
+        if (retry) {
+          config.attempts = ++attempts;
+        }
 
         $httpBackend(config.method, url, reqData, done, reqHeaders, config.timeout,
             config.withCredentials, config.responseType,
             createApplyHandlers(config.eventHandlers),
-            createApplyHandlers(config.uploadEventHandlers));
+            createApplyHandlers(config.uploadEventHandlers),
+            stream && readStreamChunk,
+            config.fetchOptions || (useFetch ? {} : undefined));
       }
 
-      return promise;
+      function readStreamChunk(chunk) {
+        applyStreamChunk(chunk);
+        // Tell the backend to stop reading a stream that cannot be parsed
+        return !stream.error;
+      }
+
+      /**
+       * Schedules another attempt if the response of the last attempt should be retried
+       */
+      function retryRequest(status, response, headersString, statusText, xhrStatus) {
+        if (!retry || attempts >= retry.attempts || xhrStatus === 'abort' ||
+            (stream && stream.started)) {
+          return false;
+        }
+
+        var headers = headersGetter(headersString);
+        var result = {
+          data: response,
+          status: status,
+          headers: headers,
+          config: config,
+          statusText: statusText,
+          xhrStatus: xhrStatus
+        };
+        if (!retry.retryOn(result)) {
+          return false;
+        }
+
+        var delay = retry.retryAfter ? getRetryAfter(headers('Retry-After')) : undefined;
+        if (isUndefined(delay) && isFunction(retry.delay)) {
+          delay = retry.delay(attempts, result);
+        } else if (isUndefined(delay)) {
+          delay = retry.delay * Math.pow(retry.backoff, attempts - 1);
+          delay += delay * retry.jitter * Math.random();
+        }
+
+        var timeout = config.timeout;
+        var timeoutId = $browser.defer(sendToBackend, delay);
+        if (isPromiseLike(timeout)) {
+          timeout.then(function() {
+            if ($browser.defer.cancel(timeoutId)) {
+              retry = null;
+              done(-1, null, null, '', isDefined(timeout.$$timeoutId) ? 'timeout' : 'abort');
+            }
+          });
+        }
+        return true;
+      }
+
+      /**
+       * Turns the chunks of a streamed response into notifications of the $http promise
+       */
+      function createStreamReader(format) {
+        var decoder = format !== 'bytes' && window.TextDecoder && new window.TextDecoder();
+        var buffer = '';
+        var reader;
+
+        function decode(chunk, flush) {
+          return isString(chunk) ? chunk : decoder.decode(chunk, {stream: !flush});
+        }
+
+        function notifyRecords(text, flush) {
+          var lines = (buffer + text).split('\n');
+          buffer = flush ? '' : lines.pop();
+          for (var i = 0; i < lines.length; i++) {
+            if (!trim(lines[i])) continue;
+            var record;
+            try {
+              record = fromJson(lines[i]);
+            } catch (e) {
+              // The stream cannot be parsed any further, so the request fails with this error
+              reader.error = $httpMinErr('baddata', 'Data must be a valid JSON object. ' +
+                  'Received: "{0}". Parse error: "{1}"', lines[i], e);
+              return;
+            }
+            deferred.notify(record);
+          }
+        }
+
+        return (reader = {
+          started: false,
+          error: null,
+          read: function(chunk) {
+            if (reader.error) return;
+            reader.started = true;
+            if (format === 'bytes') {
+              deferred.notify(chunk);
+            } else if (format === 'ndjson') {
+              notifyRecords(decode(chunk));
+            } else {
+              deferred.notify(decode(chunk));
+            }
+          },
+          flush: function() {
+            if (reader.error) return;
+            if (format === 'ndjson') {
+              notifyRecords(decoder ? decoder.decode() : '', true);
+            } else if (format !== 'bytes' && decoder) {
+              var rest = decoder.decode();
+              if (rest) deferred.notify(rest);
+            }
+          }
+        });
+      }
 
       function createApplyHandlers(eventHandlers) {
         if (eventHandlers) {
@@ -13452,7 +13729,11 @@ function $HttpProvider() {
        *  - resolves the raw $http promise
        *  - calls $apply
        */
-      function done(status, response, headersString, statusText, xhrStatus) {
+      function done(status, response, headersString, statusText, xhrStatus, fetchResult) {
+        if (retryRequest(status, response, headersString, statusText, xhrStatus)) {
+          return;
+        }
+
         if (cache) {
           if (isSuccess(status)) {
             cache.put(url, [status, response, parseHeaders(headersString), statusText, xhrStatus]);
@@ -13463,7 +13744,14 @@ function $HttpProvider() {
         }
 
         function resolveHttpPromise() {
-          resolvePromise(response, status, headersString, statusText, xhrStatus);
+          if (stream && isSuccess(status)) {
+            stream.flush();
+          }
+          if (stream && stream.error) {
+            deferred.reject(stream.error);
+            return;
+          }
+          resolvePromise(response, status, headersString, statusText, xhrStatus, fetchResult);
         }
 
         if (useApplyAsync) {
@@ -13478,18 +13766,24 @@ function $HttpProvider() {
       /**
        * Resolves the raw $http promise.
        */
-      function resolvePromise(response, status, headers, statusText, xhrStatus) {
+      function resolvePromise(response, status, headers, statusText, xhrStatus, fetchResult) {
         //status: HTTP response status code, 0, -1 (aborted by timeout / promise)
         status = status >= -1 ? status : 0;
 
-        (isSuccess(status) ? deferred.resolve : deferred.reject)({
+        var result = {
           data: response,
           status: status,
           headers: headersGetter(headers),
           config: config,
           statusText: statusText,
           xhrStatus: xhrStatus
-        });
+        };
+        if (fetchResult) {
+          result.fetchRequest = fetchResult.request;
+          result.fetchResponse = fetchResult.response;
+        }
+
+        (isSuccess(status) ? deferred.resolve : deferred.reject)(result);
       }
 
       function resolvePromiseWithResult(result) {
@@ -13503,6 +13797,72 @@ function $HttpProvider() {
     }
 
 
+    function getRetryOptions(retry, method) {
+      // Only idempotent requests, and `POST` requests with an idempotency key, can be sent again
+      if (!retry || !/^(GET|HEAD|OPTIONS|PUT|DELETE|JSONP|POST)$/.test(method)) return null;
+
+      retry = extend({
+        attempts: 3,
+        delay: 1000,
+        backoff: 2,
+        jitter: 0,
+        retryAfter: true,
+        retryOn: [408, 429, 500, 502, 503, 504]
+      }, isNumber(retry) ? {attempts: retry} : isObject(retry) ? retry : {});
+
+      if (isArray(retry.retryOn)) {
+        var statuses = retry.retryOn;
+        retry.retryOn = function(response) {
+          // Network errors and timeouts
+          return response.status <= 0 || statuses.indexOf(response.status) !== -1;
+        };
+      }
+      return retry;
+    }
+
+    function getRetryAfter(value) {
+      if (!value) return;
+
+      // The value is either a number of seconds or an HTTP date
+      var delay = /^\s*\d+\s*$/.test(value) ?
+          parseInt(value, 10) * 1000 :
+          Date.parse(value) - Date.now();
+      return isNumberNaN(delay) ? undefined : Math.max(0, delay);
+    }
+
+    function hasHeader(headers, name) {
+      name = lowercase(name);
+      for (var header in headers) {
+        if (lowercase(header) === name && isDefined(headers[header])) return true;
+      }
+      return false;
+    }
+
+    function createIdempotencyKey() {
+      var crypto = window.crypto;
+      if (crypto && crypto.randomUUID) {
+        return crypto.randomUUID();
+      }
+
+      var bytes = new Array(16);
+      if (crypto && crypto.getRandomValues) {
+        bytes = crypto.getRandomValues(new Uint8Array(16));
+      } else {
+        for (var i = 0; i < 16; i++) {
+          bytes[i] = Math.floor(Math.random() * 256);
+        }
+      }
+      // Format the bytes as a version 4 UUID
+      bytes[6] = (bytes[6] & 0x0f) | 0x40;
+      bytes[8] = (bytes[8] & 0x3f) | 0x80;
+      var key = '';
+      for (var j = 0; j < 16; j++) {
+        key += (j === 4 || j === 6 || j === 8 || j === 10 ? '-' : '') +
+            (bytes[j] + 0x100).toString(16).slice(1);
+      }
+      return key;
+    }
+
     function buildUrl(url, serializedParams) {
       if (serializedParams.length > 0) {
         url += ((url.indexOf('?') === -1) ? '?' : '&') + serializedParams;
@@ -13576,7 +13936,10 @@ function $xhrFactoryProvider() {
  *
  * @description
  * HTTP backend used by the {@link ng.$http service} that delegates to
- * XMLHttpRequest object or JSONP and deals with browser incompatibilities.
+ * XMLHttpRequest object, `fetch` or JSONP and deals with browser incompatibilities.
+ *
+ * Requests are made with `fetch` when streaming a response or when
+ * {@link $httpProvider#useFetch $httpProvider.useFetch()} is enabled.
  *
  * You should never need to use this service directly, instead use the higher-level abstractions:
  * {@link ng.$http $http} or {@link ngResource.$resource $resource}.
@@ -13585,14 +13948,15 @@ function $xhrFactoryProvider() {
  * $httpBackend} which can be trained with responses.
  */
 function $HttpBackendProvider() {
-  this.$get = ['$browser', '$jsonpCallbacks', '$document', '$xhrFactory', function($browser, $jsonpCallbacks, $document, $xhrFactory) {
-    return createHttpBackend($browser, $xhrFactory, $browser.defer, $jsonpCallbacks, $document[0]);
+  this.$get = ['$browser', '$jsonpCallbacks', '$document', '$xhrFactory', '$window', function($browser, $jsonpCallbacks, $document, $xhrFactory, $window) {
+    return createHttpBackend($browser, $xhrFactory, $browser.defer, $jsonpCallbacks, $document[0], $window);
   }];
 }
 
-function createHttpBackend($browser, createXhr, $browserDefer, callbacks, rawDocument) {
+function createHttpBackend($browser, createXhr, $browserDefer, callbacks, rawDocument, $window) {
   // TODO(vojta): fix the signature
-  return function(method, url, post, callback, headers, timeout, withCredentials, responseType, eventHandlers, uploadEventHandlers) {
+  return function(method, url, post, callback, headers, timeout, withCredentials, responseType, eventHandlers, uploadEventHandlers, streamHandler, fetchOptions) {
+    var abortFetch;
     url = url || $browser.url();
 
     if (lowercase(method) === 'jsonp') {
@@ -13603,6 +13967,9 @@ function createHttpBackend($browser, createXhr, $browserDefer, callbacks, rawDoc
         completeRequest(callback, status, response, '', text, 'complete');
         callbacks.removeCallback(callbackPath);
       });
+    } else if ($window && $window.fetch && $window.Request &&
+        (streamHandler ? $window.ReadableStream : fetchOptions)) {
+      fetchRequest();
     } else {
 
       var xhr = createXhr(method, url);
@@ -13632,6 +13999,12 @@ function createHttpBackend($browser, createXhr, $browserDefer, callbacks, rawDoc
           status = response ? 200 : urlResolve(url).protocol === 'file' ? 404 : 0;
         }
 
+        // Without streaming support, the whole body is the only chunk
+        if (streamHandler && status >= 200 && status < 300) {
+          streamHandler(response);
+          response = null;
+        }
+
         completeRequest(callback,
             status,
             response,
@@ -13672,7 +14045,7 @@ function createHttpBackend($browser, createXhr, $browserDefer, callbacks, rawDoc
         xhr.withCredentials = true;
       }
 
-      if (responseType) {
+      if (responseType && !streamHandler) {
         try {
           xhr.responseType = responseType;
         } catch (e) {
@@ -13718,16 +14091,117 @@ function createHttpBackend($browser, createXhr, $browserDefer, callbacks, rawDoc
       if (xhr) {
         xhr.abort();
       }
+      if (abortFetch) {
+        abortFetch(reason);
+      }
+    }
+
+    function fetchRequest() {
+      var options = fetchOptions || {};
+      var controller = $window.AbortController && new $window.AbortController();
+      var request, reader, completed = false;
+      var init = extend({}, options, {
+        method: method,
+        headers: {},
+        body: isUndefined(post) ? null : post,
+        credentials: options.credentials || (withCredentials ? 'include' : 'same-origin'),
+        signal: controller ? controller.signal : options.signal
+      });
+      forEach(headers, function(value, key) {
+        if (isDefined(value)) {
+          init.headers[key] = value;
+        }
+      });
+
+      function complete(status, response, headersString, statusText, xhrStatus, fetchResponse) {
+        if (!completed) {
+          completed = true;
+          completeRequest(callback, status, response, headersString, statusText, xhrStatus,
+              {request: request, response: fetchResponse});
+        }
+      }
+
+      abortFetch = function(reason) {
+        if (controller) {
+          controller.abort();
+        } else if (reader) {
+          reader.cancel().catch(noop);
+        }
+        complete(-1, null, null, '', reason);
+      };
+
+      if (controller && options.signal) {
+        if (options.signal.aborted) {
+          controller.abort();
+        } else {
+          options.signal.addEventListener('abort', function() {
+            timeoutRequest('abort');
+          });
+        }
+      }
+
+      request = new $window.Request(url, init);
+
+      $window.fetch(request).then(function(response) {
+        var status = response.status;
+        var headersString = '';
+        response.headers.forEach(function(value, key) {
+          headersString += key + ': ' + value + '\n';
+        });
+
+        function completeWith(data) {
+          complete(status, data, headersString, response.statusText, 'complete', response);
+        }
+
+        // Only the body of successful responses is streamed
+        if (!streamHandler || !response.body || status < 200 || status >= 300) {
+          return readBody(response).then(completeWith);
+        }
+
+        reader = response.body.getReader();
+        return reader.read().then(function readChunk(result) {
+          if (completed) return;
+          if (result.done) {
+            completeWith(null);
+            return;
+          }
+          // The handler returns `false` to stop reading the stream
+          if (streamHandler(result.value) === false) {
+            abortFetch('abort');
+            return;
+          }
+          return reader.read().then(readChunk);
+        });
+      }).catch(function() {
+        complete(-1, null, null, '', controller && controller.signal.aborted ? 'abort' : 'error');
+      });
+    }
+
+    function readBody(response) {
+      switch (streamHandler ? 'text' : lowercase(responseType)) {
+        case 'arraybuffer':
+          return response.arrayBuffer();
+        case 'blob':
+          return response.blob();
+        case 'json':
+          // Like XMLHttpRequest, resolve with `null` if the body is not valid JSON
+          return response.json().catch(function() {
+            return null;
+          });
+        default:
+          return response.text();
+      }
     }
 
-    function completeRequest(callback, status, response, headersString, statusText, xhrStatus) {
+    function completeRequest(callback, status, response, headersString, statusText, xhrStatus,
+                             fetchResult) {
       // cancel timeout and subsequent timeout promise resolution
       if (isDefined(timeoutId)) {
         $browserDefer.cancel(timeoutId);
       }
-      jsonpDone = xhr = null;
+      jsonpDone = xhr = abortFetch = null;
 
-      callback(status, response, headersString, statusText, xhrStatus);
+      callback(status, response, headersString, statusText, xhrStatus, fetchResult);
     }
   };
 